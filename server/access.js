@@ -0,0 +1,158 @@
+// Team workspaces ("orgs") and role-based access, layered on top of what each Google account can see in GA4.
+// A user belongs to at most one org: listed by email in its members, or matched by email domain (defaultRole).
+// Each role has a property allow-list ('*' = any property the account can see in GA4):
+//   viewer  read dashboards, save personal views
+//   editor  + change per-property settings (taxonomy, regions, alerts) and schedule digests
+//   admin   + manage the org's members, domains and allow-lists
+// Until the first org exists everyone signed in has full access, as before. ADMIN_EMAILS (comma-separated)
+// are super admins: they can always sign in, create orgs and manage every org.
+const { collection, newId } = require('./store');
+const { removeRefreshTokensUnless } = require('./tokens');
+
+const orgs = collection('orgs');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const rank = role => ROLES.indexOf(role);
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const emailOf = user => String(user?.email || '').toLowerCase();
+const domainOf = email => email.split('@')[1] || '';
+
+function membershipOf(email) {
+  const all = orgs.all();
+  const listed = all.find(o => o.members[email]);
+  if (listed) return { org: listed, role: listed.members[email] };
+  const byDomain = all.find(o => o.defaultRole && o.domains.includes(domainOf(email)));
+  return byDomain ? { org: byDomain, role: byDomain.defaultRole } : null;
+}
+
+// { org, role, superAdmin } — org null means unrestricted (no orgs yet, or a super admin outside any org).
+// null when orgs exist and the user is in none of them. Kiosk tokens are scoped by kiosk.js instead.
+function accessOf(user) {
+  if (user.kiosk) return { org: null, role: 'viewer', superAdmin: false, kiosk: true };
+  const email = emailOf(user);
+  const superAdmin = ADMIN_EMAILS.includes(email);
+  const m = membershipOf(email);
+  if (m) return { ...m, superAdmin };
+  if (superAdmin || !orgs.all().length) return { org: null, role: null, superAdmin };
+  return null;
+}
+
+const can = (acc, role) => !acc.kiosk && (!acc.org || acc.superAdmin || rank(acc.role) >= rank(role));
+
+function allowsProperty(acc, propertyId) {
+  if (!acc.org) return true;
+  const list = acc.org.properties[acc.role] || [];
+  return list.includes('*') || list.includes(String(propertyId));
+}
+
+const canManage = (acc, org) => acc.superAdmin || (acc.org && acc.org.id === org.id && acc.role === 'admin');
+
+// What /auth/me and the dashboard need to know
+const describe = acc => acc && {
+  org: acc.org ? { id: acc.org.id, name: acc.org.name } : null,
+  role: acc.role,
+  superAdmin: acc.superAdmin,
+  canEdit: can(acc, 'editor'),
+  canAdmin: acc.superAdmin || acc.role === 'admin',
+  kiosk: !!acc.kiosk
+};
+
+// ── Org configuration ─────────────────────────────────────
+const DOMAIN = /^[a-z0-9.-]+\.[a-z]{2,}$/;
+const EMAIL = /^[^@\s]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// partial: a PUT, where every field is optional; id: the org being edited (excluded from the clash checks).
+// A domain admits everyone signing in from it, so like a member email it belongs to one org at most.
+function validateOrg(body, partial = false, id = null) {
+  const { name, domains, defaultRole, properties, members } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name required';
+  }
+  if (domains !== undefined) {
+    if (!Array.isArray(domains) || domains.some(d => typeof d !== 'string' || !DOMAIN.test(d.toLowerCase()))) {
+      return 'domains must be an array of email domains, e.g. ["example.com"]';
+    }
+    for (const d of domains) {
+      const other = orgs.find(o => o.id !== id && o.domains.includes(d.toLowerCase()))[0];
+      if (other) return `${d} is already a domain of ${other.name}`;
+    }
+  }
+  if (defaultRole !== undefined && defaultRole !== null && !ROLES.includes(defaultRole)) {
+    return `defaultRole must be one of: ${ROLES.join(', ')} (or null to admit listed members only)`;
+  }
+  if (properties !== undefined) {
+    if (!isPlainObject(properties)) return 'properties must map roles to property ID lists';
+    for (const [role, list] of Object.entries(properties)) {
+      if (!ROLES.includes(role)) return `Unknown role in properties: ${role}`;
+      if (!Array.isArray(list) || list.some(p => p !== '*' && !/^\d+$/.test(String(p)))) {
+        return `properties.${role} must be a list of numeric GA4 property IDs or "*"`;
+      }
+    }
+  }
+  if (members !== undefined) {
+    if (!isPlainObject(members)) return 'members must map emails to roles';
+    for (const [email, role] of Object.entries(members)) {
+      if (!EMAIL.test(email.toLowerCase())) return `Invalid member email: ${email}`;
+      if (!ROLES.includes(role)) return `members.${email} must be one of: ${ROLES.join(', ')}`;
+      const other = orgs.find(o => o.id !== id && o.members[email.toLowerCase()])[0];
+      if (other) return `${email} is already a member of ${other.name}`;
+    }
+  }
+  return null;
+}
+
+function apply(org, body) {
+  if (body.name !== undefined) org.name = body.name.trim();
+  if (body.domains !== undefined) org.domains = [...new Set(body.domains.map(d => d.toLowerCase()))];
+  if (body.defaultRole !== undefined) org.defaultRole = body.defaultRole;
+  if (body.properties !== undefined) {
+    org.properties = Object.fromEntries(ROLES.map(r => [r, (body.properties[r] || []).map(String)]));
+  }
+  if (body.members !== undefined) {
+    org.members = Object.fromEntries(Object.entries(body.members).map(([e, r]) => [e.toLowerCase(), r]));
+  }
+}
+
+// People an org change shuts out lose their stored Google authorization, so scheduled digests and history
+// collection stop acting for them
+const dropRevokedTokens = () => removeRefreshTokensUnless(email => accessOf({ email }) !== null);
+
+function createOrg(body) {
+  const org = {
+    id: newId(),
+    name: '',
+    domains: [],
+    defaultRole: null,
+    // Admins see everything the account can see until the allow-lists are filled in
+    properties: { viewer: [], editor: [], admin: ['*'] },
+    members: {},
+    createdAt: new Date().toISOString()
+  };
+  apply(org, body);
+  const saved = orgs.set(org.id, org);
+  dropRevokedTokens(); // the first org ends open access for everyone outside it
+  return saved;
+}
+
+function updateOrg(org, body) {
+  const next = { ...org };
+  apply(next, body);
+  next.updatedAt = new Date().toISOString();
+  const saved = orgs.set(next.id, next);
+  dropRevokedTokens();
+  return saved;
+}
+
+function deleteOrg(id) {
+  if (!orgs.remove(id)) return false;
+  dropRevokedTokens();
+  return true;
+}
+
+module.exports = {
+  orgs, ROLES, ADMIN_EMAILS,
+  accessOf, can, allowsProperty, canManage, describe,
+  validateOrg, createOrg, updateOrg, deleteOrg
+};
@@ -0,0 +1,137 @@
+// Traffic spike / breaking-story alerts. Realtime fetches are fed in through observeRealtime()
+// and observeTopNews(); each property keeps a rolling baseline in memory and fires alerts when
+//   - a story enters the realtime top 10          (top10_entry)
+//   - a story's 30-min pageviews cross a threshold (threshold)
+//   - active users deviate N sigma from baseline   (spike / drop)
+// Alerts are kept in a short per-property ring buffer for /api/alerts and optionally POSTed to a webhook.
+// State is per-process: on serverless each instance builds its own baseline.
+const { collection } = require('./store');
+const outbound = require('./outbound');
+
+const configs = collection('alert-config');
+
+const DEFAULTS = {
+  articleThreshold: parseInt(process.env.ALERT_ARTICLE_THRESHOLD || 500), // pageviews in the last 30 min
+  sigma: parseFloat(process.env.ALERT_SIGMA || 3),
+  minSamples: 10,                 // baseline samples needed before sigma alerts fire
+  cooldownMinutes: 15,            // between repeated spike/drop alerts
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || null
+};
+const BASELINE_SIZE = 60;         // one sample per minute -> last hour
+const MAX_ALERTS = 100;
+
+const state = {};
+let nextId = 1;
+
+const getConfig = (propertyId) => ({ ...DEFAULTS, ...(configs.get(propertyId) || {}) });
+
+const NUMERIC_KEYS = ['articleThreshold', 'sigma', 'minSamples', 'cooldownMinutes'];
+
+function validateConfig(body) {
+  for (const key of NUMERIC_KEYS) {
+    if (body[key] === undefined) continue;
+    const v = Number(body[key]);
+    if (!Number.isFinite(v) || v <= 0) return `${key} must be a positive number`;
+  }
+  const bad = body.webhookUrl && outbound.validateUrl(body.webhookUrl);
+  if (bad) return `webhookUrl ${bad}`;
+  return null;
+}
+
+function setConfig(propertyId, body) {
+  const cfg = { ...(configs.get(propertyId) || {}) };
+  for (const key of NUMERIC_KEYS) if (body[key] !== undefined) cfg[key] = Number(body[key]);
+  if (body.webhookUrl !== undefined) cfg.webhookUrl = body.webhookUrl || null;
+  configs.set(propertyId, cfg);
+  return getConfig(propertyId);
+}
+
+function propState(propertyId) {
+  if (!state[propertyId]) {
+    state[propertyId] = { samples: [], lastSampleMinute: null, top10: null, views: {}, lastFired: {}, alerts: [] };
+  }
+  return state[propertyId];
+}
+
+function fire(propertyId, alert) {
+  const s = propState(propertyId);
+  const a = { id: nextId++, propertyId, at: new Date().toISOString(), ...alert };
+  s.alerts.push(a);
+  if (s.alerts.length > MAX_ALERTS) s.alerts.shift();
+  const { webhookUrl } = getConfig(propertyId);
+  if (webhookUrl) {
+    outbound.postJson(webhookUrl, { text: a.message, alert: a })
+      .catch(e => console.error(`[alerts] webhook failed: ${e.message}`));
+  }
+  return a;
+}
+
+const mean = xs => xs.reduce((s, x) => s + x, 0) / xs.length;
+const stdev = (xs, m) => Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length);
+
+// Active users vs the rolling baseline; the baseline takes at most one sample per minute
+function observeRealtime(propertyId, { activeUsers }, now = new Date()) {
+  const s = propState(propertyId);
+  const cfg = getConfig(propertyId);
+  const fired = [];
+
+  if (s.samples.length >= cfg.minSamples) {
+    const m = mean(s.samples);
+    const sd = stdev(s.samples, m);
+    const z = sd ? (activeUsers - m) / sd : 0;
+    const type = z >= cfg.sigma ? 'spike' : z <= -cfg.sigma ? 'drop' : null;
+    const cooled = !s.lastFired[type] || now - s.lastFired[type] >= cfg.cooldownMinutes * 60000;
+    if (type && cooled) {
+      s.lastFired[type] = now;
+      fired.push(fire(propertyId, {
+        type,
+        value: activeUsers,
+        baseline: Math.round(m),
+        sigma: Math.round(z * 10) / 10,
+        message: `Active users ${type === 'spike' ? 'spiking' : 'dropping'}: ${activeUsers.toLocaleString('en-IN')} vs ~${Math.round(m).toLocaleString('en-IN')} baseline (${z > 0 ? '+' : ''}${z.toFixed(1)}σ)`
+      }));
+    }
+  }
+
+  const minute = Math.floor(now.getTime() / 60000);
+  if (minute !== s.lastSampleMinute) {
+    s.lastSampleMinute = minute;
+    s.samples.push(activeUsers);
+    if (s.samples.length > BASELINE_SIZE) s.samples.shift();
+  }
+  return fired;
+}
+
+// Realtime top 10 (rows from queries.realtimeTopNews): new entrants and threshold crossings
+function observeTopNews(propertyId, rows) {
+  const s = propState(propertyId);
+  const cfg = getConfig(propertyId);
+  const fired = [];
+  const titles = rows.map(r => r.title);
+
+  // The first observation only seeds state, otherwise every story would "enter" the top 10
+  if (s.top10) {
+    for (const r of rows) {
+      if (!s.top10.includes(r.title)) {
+        fired.push(fire(propertyId, {
+          type: 'top10_entry', title: r.title, rank: r.rank, value: r.pageViews,
+          message: `New in top 10 at #${r.rank}: ${r.title}`
+        }));
+      }
+      const before = s.views[r.title] || 0;
+      if (before < cfg.articleThreshold && r.pageViews >= cfg.articleThreshold) {
+        fired.push(fire(propertyId, {
+          type: 'threshold', title: r.title, rank: r.rank, value: r.pageViews,
+          message: `${r.title} passed ${cfg.articleThreshold.toLocaleString('en-IN')} views in 30 min`
+        }));
+      }
+    }
+  }
+  s.top10 = titles;
+  s.views = Object.fromEntries(rows.map(r => [r.title, r.pageViews]));
+  return fired;
+}
+
+const alertsSince = (propertyId, sinceId = 0) => propState(propertyId).alerts.filter(a => a.id > sinceId);
+
+module.exports = { getConfig, validateConfig, setConfig, observeRealtime, observeTopNews, alertsSince };
@@ -0,0 +1,236 @@
+// Custom report builder: ad-hoc GA4 reports from a JSON spec, for the cuts no dashboard route covers.
+// Only whitelisted dimensions and metrics (plus the property's own custom definitions) are accepted, and every
+// field is checked against the property's GA4 metadata before the report runs. Saved reports belong to a user
+// and a property, like saved views.
+const crypto = require('crypto');
+const { collection, newId } = require('./store');
+const { COMPARE_MODES, dateRanges, splitByRange, change } = require('./compare');
+const { validateRange } = require('./ranges');
+
+const saved = collection('customReports');
+
+const DIMENSIONS = [
+  'date', 'dateHour', 'dayOfWeekName', 'hour', 'yearWeek', 'yearMonth',
+  'pagePath', 'pageTitle', 'landingPage', 'hostName', 'contentGroup', 'pageReferrer',
+  'country', 'region', 'city', 'language',
+  'deviceCategory', 'operatingSystem', 'browser', 'platform',
+  'sessionSource', 'sessionMedium', 'sessionSourceMedium', 'sessionCampaignName', 'sessionDefaultChannelGroup',
+  'newVsReturning', 'eventName'
+];
+const METRICS = [
+  'screenPageViews', 'totalUsers', 'activeUsers', 'newUsers', 'sessions', 'engagedSessions',
+  'engagementRate', 'bounceRate', 'averageSessionDuration', 'userEngagementDuration',
+  'screenPageViewsPerSession', 'screenPageViewsPerUser', 'sessionsPerUser', 'eventCount'
+];
+const LIMITS = { dimensions: 5, metrics: 8, filters: 10, orderBys: 3, rows: 10000 };
+const STRING_OPS = ['equals', 'contains', 'beginsWith', 'endsWith', 'regex', 'in'];
+const NUMBER_OPS = ['=', '>', '>=', '<', '<='];
+const CHARTS = ['table', 'bar', 'line'];
+
+// ── Fields ────────────────────────────────────────────────
+// What the property's metadata offers from the whitelist, plus its custom dimensions and metrics.
+// { dimensions: [{ apiName, uiName, category, custom }], metrics: [... , type] }
+function fieldsOf(meta) {
+  const pick = (list, allowed) => (list || [])
+    .filter(f => f.apiName && (allowed.includes(f.apiName) || f.customDefinition))
+    .map(f => ({ apiName: f.apiName, uiName: f.uiName || f.apiName, category: f.category || null, custom: !!f.customDefinition, ...(f.type ? { type: f.type } : {}) }));
+  return { dimensions: pick(meta.dimensions, DIMENSIONS), metrics: pick(meta.metrics, METRICS) };
+}
+
+// ── Validation ────────────────────────────────────────────
+const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// GA4 runs regex filters with RE2, which has no lookaround or backreferences. JS accepts both, so without this
+// check they would pass here and come back from GA4 as a 400. Returns the construct found, or null.
+function re2Unsupported(pattern) {
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      if (/[1-9]/.test(pattern[i + 1] || '')) return 'backreferences (\\1)';
+      if (pattern[i + 1] === 'k' && pattern[i + 2] === '<') return 'named backreferences (\\k<name>)';
+      i++;
+    } else if (c === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) if (pattern[i] === '\\') i++;
+    } else if (c === '(' && pattern[i + 1] === '?') {
+      const ahead = pattern.slice(i + 2, i + 4);
+      if (ahead[0] === '=' || ahead[0] === '!') return 'lookahead ((?= or (?!)';
+      if (ahead === '<=' || ahead === '<!') return 'lookbehind ((?<= or (?<!)';
+    }
+  }
+  return null;
+}
+
+// spec: { dimensions, metrics, filters, orderBys, limit, range, start, end, compare, chart }; fields from fieldsOf()
+function validateSpec(spec, fields) {
+  if (!isPlainObject(spec)) return 'report must be an object';
+  const dims = fields.dimensions.map(f => f.apiName), mets = fields.metrics.map(f => f.apiName);
+  const { dimensions = [], metrics, filters = [], orderBys = [], limit, range, start, end, compare, chart } = spec;
+  if (!Array.isArray(dimensions) || dimensions.length > LIMITS.dimensions) return `dimensions must be an array of at most ${LIMITS.dimensions}`;
+  if (!Array.isArray(metrics) || !metrics.length || metrics.length > LIMITS.metrics) return `metrics must be an array of 1 to ${LIMITS.metrics}`;
+  const badDim = dimensions.find(d => !dims.includes(d));
+  if (badDim !== undefined) return `Dimension not available for this property: ${badDim}`;
+  const badMet = metrics.find(m => !mets.includes(m));
+  if (badMet !== undefined) return `Metric not available for this property: ${badMet}`;
+  if (new Set([...dimensions, ...metrics]).size !== dimensions.length + metrics.length) return 'dimensions and metrics must not repeat';
+
+  if (!Array.isArray(filters) || filters.length > LIMITS.filters) return `filters must be an array of at most ${LIMITS.filters}`;
+  for (const [i, f] of filters.entries()) {
+    const at = `filters[${i}]`;
+    if (!isPlainObject(f)) return `${at} must be an object`;
+    if (f.not !== undefined && typeof f.not !== 'boolean') return `${at}.not must be true or false`;
+    if (dims.includes(f.field)) {
+      if (!STRING_OPS.includes(f.op)) return `${at}.op must be one of: ${STRING_OPS.join(', ')} for a dimension`;
+      if (f.op === 'in') {
+        if (!Array.isArray(f.value) || !f.value.length || f.value.some(v => typeof v !== 'string')) return `${at}.value must be a list of strings`;
+      } else if (typeof f.value !== 'string' || !f.value) return `${at}.value must be a non-empty string`;
+      if (f.op === 'regex') {
+        try { new RegExp(f.value); } catch (e) { return `${at}.value is not a valid regex: ${e.message}`; }
+        const unsupported = re2Unsupported(f.value);
+        if (unsupported) return `${at}.value uses ${unsupported}, which GA4 regex filters don't support`;
+      }
+    } else if (mets.includes(f.field)) {
+      if (!metrics.includes(f.field)) return `${at}.field must be one of the report's metrics`;
+      if (!NUMBER_OPS.includes(f.op)) return `${at}.op must be one of: ${NUMBER_OPS.join(', ')} for a metric`;
+      if (typeof f.value !== 'number' || !isFinite(f.value)) return `${at}.value must be a number`;
+    } else {
+      return `${at}.field is not an available dimension or metric: ${f.field}`;
+    }
+  }
+
+  if (!Array.isArray(orderBys) || orderBys.length > LIMITS.orderBys) return `orderBys must be an array of at most ${LIMITS.orderBys}`;
+  for (const [i, o] of orderBys.entries()) {
+    if (!isPlainObject(o) || ![...dimensions, ...metrics].includes(o.field)) return `orderBys[${i}].field must be one of the report's dimensions or metrics`;
+    if (o.desc !== undefined && typeof o.desc !== 'boolean') return `orderBys[${i}].desc must be true or false`;
+  }
+
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= LIMITS.rows)) return `limit must be an integer from 1 to ${LIMITS.rows}`;
+  if (range !== undefined) {
+    const err = validateRange({ range, start, end });
+    if (err) return err;
+  }
+  if (compare !== undefined && compare !== null && compare !== '' && !COMPARE_MODES.includes(compare)) {
+    return `compare must be one of: ${COMPARE_MODES.join(', ')}`;
+  }
+  if (chart !== undefined && !CHARTS.includes(chart)) return `chart must be one of: ${CHARTS.join(', ')}`;
+  return null;
+}
+
+// ── GA4 request ───────────────────────────────────────────
+const STRING_MATCH = { equals: 'EXACT', contains: 'CONTAINS', beginsWith: 'BEGINS_WITH', endsWith: 'ENDS_WITH', regex: 'FULL_REGEXP' };
+const NUMBER_MATCH = { '=': 'EQUAL', '>': 'GREATER_THAN', '>=': 'GREATER_THAN_OR_EQUAL', '<': 'LESS_THAN', '<=': 'LESS_THAN_OR_EQUAL' };
+
+function filterExpression(f) {
+  let filter;
+  if (f.op === 'in') filter = { fieldName: f.field, inListFilter: { values: f.value, caseSensitive: false } };
+  else if (STRING_MATCH[f.op]) filter = { fieldName: f.field, stringFilter: { matchType: STRING_MATCH[f.op], value: f.value, caseSensitive: false } };
+  else {
+    const value = Number.isInteger(f.value) ? { int64Value: String(f.value) } : { doubleValue: f.value };
+    filter = { fieldName: f.field, numericFilter: { operation: NUMBER_MATCH[f.op], value } };
+  }
+  return f.not ? { notExpression: { filter } } : { filter };
+}
+
+const andGroup = list => (list.length ? { andGroup: { expressions: list.map(filterExpression) } } : undefined);
+
+function toRequest(spec, { startDate, endDate }) {
+  const dims = spec.dimensions || [];
+  const filters = spec.filters || [];
+  return {
+    dateRanges: dateRanges(startDate, endDate, spec.compare || null),
+    dimensions: dims.map(name => ({ name })),
+    metrics: spec.metrics.map(name => ({ name })),
+    // Dimension filters may use any available dimension; metric filters only the report's own metrics
+    dimensionFilter: andGroup(filters.filter(f => !spec.metrics.includes(f.field))),
+    metricFilter: andGroup(filters.filter(f => spec.metrics.includes(f.field))),
+    orderBys: (spec.orderBys || []).map(o => (dims.includes(o.field)
+      ? { dimension: { dimensionName: o.field }, desc: !!o.desc }
+      : { metric: { metricName: o.field }, desc: !!o.desc })),
+    limit: spec.limit || 100,
+    metricAggregations: ['TOTAL']
+  };
+}
+
+// ── Normalized rows ───────────────────────────────────────
+// [{ <dimension>: value, <metric>: number, change?: { <metric>: { previous, delta, deltaPct } } }]
+function normalize(data, spec, fields) {
+  const dims = spec.dimensions || [];
+  const types = Object.fromEntries(fields.metrics.map(f => [f.apiName, f.type]));
+  const num = (m, v) => (types[m] === 'TYPE_INTEGER' ? parseInt(v || 0) : Math.round(parseFloat(v || 0) * 100) / 100);
+  const flat = row => {
+    const out = {};
+    dims.forEach((d, i) => { out[d] = row.dimensionValues[i].value; });
+    spec.metrics.forEach((m, i) => { out[m] = num(m, row.metricValues[i]?.value); });
+    return out;
+  };
+  const compare = spec.compare || null;
+  const { current, previous } = splitByRange(data.rows || [], compare);
+  const totals = splitByRange(data.totals || [], compare);
+  const keyOf = r => dims.map(d => r[d]).join('\n');
+  const prev = Object.fromEntries(previous.map(flat).map(r => [keyOf(r), r]));
+
+  const rows = current.map(flat).map(r => {
+    if (!compare) return r;
+    const p = prev[keyOf(r)] || {};
+    return { ...r, change: Object.fromEntries(spec.metrics.map(m => [m, change(r[m], p[m])])) };
+  });
+  const total = totals.current[0] && flat(totals.current[0]);
+  return {
+    dimensions: dims.map(d => fields.dimensions.find(f => f.apiName === d)),
+    metrics: spec.metrics.map(m => fields.metrics.find(f => f.apiName === m)),
+    rows,
+    totals: total ? Object.fromEntries(spec.metrics.map(m => [m, total[m]])) : null,
+    rowCount: data.rowCount || rows.length
+  };
+}
+
+const SPEC_FIELDS = ['dimensions', 'metrics', 'filters', 'orderBys', 'limit', 'range', 'start', 'end', 'compare', 'chart'];
+const specOf = body => Object.fromEntries(SPEC_FIELDS.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+
+// Cache key part for a spec (chart is display only)
+const specKey = spec => crypto.createHash('sha1').update(JSON.stringify({ ...specOf(spec), chart: undefined })).digest('hex').slice(0, 16);
+
+// ── Saved reports ─────────────────────────────────────────
+
+// body: { name, shared, report: spec }; partial: a PUT
+function validateSaved(body, fields, partial = false) {
+  const { name, shared, report } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name required';
+    if (name.length > 80) return 'name must be at most 80 characters';
+  }
+  if (shared !== undefined && typeof shared !== 'boolean') return 'shared must be true or false';
+  if (!partial || report !== undefined) return validateSpec(report, fields);
+  return null;
+}
+
+function createSaved(user, { propertyId, propertyName }, body) {
+  const id = newId(), now = new Date().toISOString();
+  return saved.set(id, {
+    id,
+    userId: user.id,
+    ownerName: user.name,
+    propertyId,
+    propertyName: propertyName || propertyId,
+    name: body.name.trim(),
+    shared: !!body.shared,
+    report: specOf(body.report),
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+function updateSaved(rep, body) {
+  const next = { ...rep, updatedAt: new Date().toISOString() };
+  if (body.name !== undefined) next.name = body.name.trim();
+  if (body.shared !== undefined) next.shared = body.shared;
+  if (body.report !== undefined) next.report = specOf(body.report);
+  return saved.set(next.id, next);
+}
+
+const canOpen = (rep, user) => rep.userId === user.id || rep.shared;
+
+module.exports = {
+  saved, DIMENSIONS, METRICS, LIMITS,
+  fieldsOf, validateSpec, toRequest, normalize, specKey,
+  validateSaved, createSaved, updateSaved, canOpen
+};
@@ -0,0 +1,135 @@
+// Response cache shared by the /api routes. CACHE_STORE selects the backend:
+//   memory (default) node-cache inside this process — fine for one long-lived server
+//   file             one JSON file per key under CACHE_DIR (default DATA_DIR/cache), shared by every
+//                    process on the same disk (PM2 cluster, several instances on one volume)
+//   redis            any Redis-compatible server at REDIS_URL (Redis, Valkey, Upstash, ...) — the one to
+//                    use on Vercel/Netlify, where each cold start would otherwise re-query GA4
+// cached() also coalesces: concurrent calls for the same key in one process share a single load.
+// A failing backend is logged and treated as a miss, so a cache outage never takes the dashboard down.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { DATA_DIR } = require('./store');
+
+const STORE = (process.env.CACHE_STORE || 'memory').toLowerCase();
+
+// Every adapter: get(key) -> value | undefined, set(key, value, ttlSeconds), del([keys]), keys(prefix)
+function memoryStore() {
+  const c = new NodeCache({ stdTTL: 30 });
+  return {
+    get: async (key) => c.get(key),
+    set: async (key, value, ttl) => { c.set(key, value, ttl); },
+    del: async (keys) => { c.del(keys); },
+    keys: async (prefix) => c.keys().filter(k => k.startsWith(prefix))
+  };
+}
+
+function fileStore(dir) {
+  const fileOf = key => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  const read = file => { try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (_) { return null; } };
+  const live = entry => entry && entry.expires > Date.now();
+  return {
+    async get(key) {
+      const entry = read(fileOf(key));
+      return live(entry) ? entry.value : undefined;
+    },
+    async set(key, value, ttl) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = fileOf(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ key, expires: Date.now() + ttl * 1000, value }));
+      fs.renameSync(tmp, file);
+    },
+    async del(keys) {
+      for (const key of keys) fs.rmSync(fileOf(key), { force: true });
+    },
+    async keys(prefix) {
+      if (!fs.existsSync(dir)) return [];
+      const out = [];
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.json')) continue;
+        const file = path.join(dir, name);
+        const entry = read(file);
+        if (!live(entry)) fs.rmSync(file, { force: true }); // sweep expired entries while we're here
+        else if (entry.key.startsWith(prefix)) out.push(entry.key);
+      }
+      return out;
+    }
+  };
+}
+
+function redisStore(url) {
+  const { createClient } = require('redis'); // only loaded when CACHE_STORE=redis
+  const ns = process.env.CACHE_PREFIX || 'newsanalytics:';
+  const client = createClient({
+    url,
+    disableOfflineQueue: true, // while disconnected, fail fast (a miss) instead of queueing commands
+    socket: { connectTimeout: 5000, reconnectStrategy: retries => Math.min(1000 * 2 ** retries, 30000) }
+  });
+  client.on('error', e => console.error(`[cache] redis: ${e.message}`));
+  client.connect().catch(() => {}); // reported through 'error'; reconnects on its own
+  const up = () => client.isReady;
+  return {
+    async get(key) {
+      if (!up()) return undefined;
+      const v = await client.get(ns + key);
+      return v === null ? undefined : JSON.parse(v);
+    },
+    async set(key, value, ttl) {
+      if (up()) await client.set(ns + key, JSON.stringify(value), { EX: ttl });
+    },
+    async del(keys) {
+      if (up() && keys.length) await client.del(keys.map(k => ns + k));
+    },
+    async keys(prefix) {
+      if (!up()) return [];
+      const out = [];
+      for await (const k of client.scanIterator({ MATCH: `${ns}${prefix}*`, COUNT: 500 })) out.push(k.slice(ns.length));
+      return out;
+    }
+  };
+}
+
+function createStore() {
+  if (STORE === 'memory') return memoryStore();
+  if (STORE === 'file') return fileStore(process.env.CACHE_DIR || path.join(DATA_DIR, 'cache'));
+  if (STORE === 'redis') {
+    if (!process.env.REDIS_URL) throw new Error('CACHE_STORE=redis needs REDIS_URL');
+    return redisStore(process.env.REDIS_URL);
+  }
+  throw new Error(`Unknown CACHE_STORE "${STORE}" (expected memory, file or redis)`);
+}
+
+const store = createStore();
+
+const quietly = async (op, fallback) => {
+  try { return await op(); } catch (e) {
+    console.error(`[cache] ${STORE}: ${e.message}`);
+    return fallback;
+  }
+};
+
+const get = (key) => quietly(() => store.get(key), undefined);
+const set = (key, value, ttl) => quietly(() => store.set(key, value, ttl));
+const del = (keys) => quietly(() => store.del(keys));
+const keys = (prefix = '') => quietly(() => store.keys(prefix), []);
+
+const inflight = new Map();
+
+// Value for key, loading (and storing for ttl seconds) on a miss
+async function cached(key, ttl, load) {
+  if (inflight.has(key)) return inflight.get(key);
+  const hit = await get(key);
+  if (hit !== undefined) return hit;
+  if (inflight.has(key)) return inflight.get(key);
+  const pending = (async () => {
+    const value = await load();
+    await set(key, value, ttl);
+    return value;
+  })();
+  inflight.set(key, pending);
+  try { return await pending; } finally { inflight.delete(key); }
+}
+
+module.exports = { cached, get, set, del, keys, STORE };
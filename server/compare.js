@@ -0,0 +1,75 @@
+// Period-over-period comparison for ranged endpoints (?compare=previous|yoy).
+// GA4 takes up to four dateRanges in one runReport; with more than one it appends a
+// `dateRange` dimension to every row, which splitByRange() uses to pair rows up.
+const COMPARE_MODES = ['previous', 'yoy'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+const fmt = d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// GA4 date string ('today', 'yesterday', 'NdaysAgo', 'YYYY-MM-DD') -> local Date at midnight
+function resolveDate(s, now = new Date()) {
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (s === 'today') return d;
+  if (s === 'yesterday') { d.setDate(d.getDate() - 1); return d; }
+  const ago = /^(\d+)daysAgo$/.exec(s);
+  if (ago) { d.setDate(d.getDate() - parseInt(ago[1])); return d; }
+  const ymd = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (ymd) return new Date(parseInt(ymd[1]), parseInt(ymd[2]) - 1, parseInt(ymd[3]));
+  return null;
+}
+
+// The window to compare against: same length immediately before, or same dates a year earlier
+function comparisonRange(startDate, endDate, mode, now = new Date()) {
+  const s = resolveDate(startDate, now), e = resolveDate(endDate, now);
+  if (!s || !e) return null;
+  if (mode === 'yoy') {
+    s.setFullYear(s.getFullYear() - 1);
+    e.setFullYear(e.getFullYear() - 1);
+    return { startDate: fmt(s), endDate: fmt(e) };
+  }
+  const days = Math.round((e - s) / DAY) + 1;
+  const prevEnd = new Date(s); prevEnd.setDate(prevEnd.getDate() - 1);
+  const prevStart = new Date(prevEnd); prevStart.setDate(prevStart.getDate() - (days - 1));
+  return { startDate: fmt(prevStart), endDate: fmt(prevEnd) };
+}
+
+// dateRanges for runReport — a single range unless a comparison was asked for
+function dateRanges(startDate, endDate, compare) {
+  if (!compare) return [{ startDate, endDate }];
+  const prev = comparisonRange(startDate, endDate, compare);
+  if (!prev) return [{ startDate, endDate }];
+  return [{ startDate, endDate, name: 'current' }, { ...prev, name: 'previous' }];
+}
+
+// Split rows on the trailing dateRange dimension (and drop it) so callers see the usual shape
+function splitByRange(rows, compare) {
+  if (!compare) return { current: rows, previous: [] };
+  const out = { current: [], previous: [] };
+  for (const row of rows) {
+    const dv = row.dimensionValues || [];
+    const name = dv[dv.length - 1]?.value;
+    if (out[name]) out[name].push({ ...row, dimensionValues: dv.slice(0, -1) });
+  }
+  return out;
+}
+
+// { previous, delta, deltaPct } — deltaPct is null when there is nothing to compare against
+function change(current, previous) {
+  const prev = previous || 0;
+  return {
+    previous: prev,
+    delta: current - prev,
+    deltaPct: prev ? Math.round(((current - prev) / prev) * 1000) / 10 : null
+  };
+}
+
+const validateCompare = (req, res, next) => {
+  const c = req.query.compare;
+  if (c && !COMPARE_MODES.includes(c)) {
+    return res.status(400).json({ error: `compare must be one of: ${COMPARE_MODES.join(', ')}` });
+  }
+  next();
+};
+
+module.exports = { COMPARE_MODES, fmt, resolveDate, comparisonRange, dateRanges, splitByRange, change, validateCompare };
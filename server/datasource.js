@@ -0,0 +1,215 @@
+// GA4 data-source layer — every GA4 call in server/index.js goes through ga()/gaAdmin() here.
+// Credentials follow the request's auth mode: the signed-in user's OAuth token, or for kiosk tokens the
+// service account configured for the property.
+// GA_DATA_SOURCE selects the backend:
+//   google  (default) live Google Analytics APIs using the user's OAuth token
+//   fixture           answers from recorded JSON under GA_FIXTURE_DIR, no network
+//   record            live APIs, but every response is also written to GA_FIXTURE_DIR
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { getRefreshToken } = require('./tokens');
+const { recordQuota } = require('./quota');
+
+const MODE = (process.env.GA_DATA_SOURCE || 'google').toLowerCase();
+const FIXTURE_DIR = process.env.GA_FIXTURE_DIR || path.join(__dirname, '../fixtures');
+const STRICT = process.env.GA_FIXTURE_STRICT === '1';
+
+if (!['google', 'fixture', 'record'].includes(MODE)) {
+  throw new Error(`Unknown GA_DATA_SOURCE "${MODE}" (expected google, fixture or record)`);
+}
+
+const isOffline = () => MODE === 'fixture';
+
+// ── Fixture keys ──────────────────────────────────────────
+// Exact key: hash of the full request, so a recorded response is replayed for the identical call.
+// Shape key: dimension + metric names only, so one hand-written file answers every range/limit
+// variant of the same query (e.g. runReport/pageTitle+pagePath--screenPageViews.json).
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v);
+}
+
+const safe = s => s.replace(/[^\w.+-]/g, '_');
+
+function exactKey(params) {
+  return crypto.createHash('sha1').update(stableStringify(params)).digest('hex').slice(0, 16);
+}
+
+function shapeKey(params) {
+  const body = params.requestBody;
+  if (!body) return 'default';
+  const names = (body.dimensions || []).map(d => d.name);
+  // GA4 appends a dateRange dimension to every row when more than one range is requested
+  if ((body.dateRanges || []).length > 1) names.push('dateRange');
+  const dims = names.join('+') || '_';
+  const mets = (body.metrics || []).map(m => m.name).join('+') || '_';
+  return safe(`${dims}--${mets}`);
+}
+
+const fixturePath = (method, key) => path.join(FIXTURE_DIR, method, `${key}.json`);
+
+function readFixture(method, params) {
+  for (const key of [exactKey(params), shapeKey(params)]) {
+    const file = fixturePath(method, key);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  const expected = path.relative(process.cwd(), fixturePath(method, shapeKey(params)));
+  if (STRICT) throw new Error(`No fixture for ${method} (expected ${expected})`);
+  console.warn(`[fixture] no fixture for ${method}, returning empty response (expected ${expected})`);
+  return {};
+}
+
+function writeFixture(method, params, data) {
+  const dir = path.join(FIXTURE_DIR, method);
+  fs.mkdirSync(dir, { recursive: true });
+  const json = JSON.stringify(data, null, 2);
+  fs.writeFileSync(fixturePath(method, exactKey(params)), json);
+  // First recording of a shape becomes its fallback; later ones don't overwrite hand-edited files
+  const shapeFile = fixturePath(method, shapeKey(params));
+  if (!fs.existsSync(shapeFile)) fs.writeFileSync(shapeFile, json);
+}
+
+// ── Backends ──────────────────────────────────────────────
+// Each backend exposes the subset of the googleapis surface the routes use,
+// with the same `{ data }` response envelope.
+function fixtureCall(method) {
+  return async (params = {}) => ({ data: readFixture(method, params) });
+}
+
+function recordCall(method, fn) {
+  return async (params = {}) => {
+    const res = await fn(params);
+    writeFixture(method, params, res.data);
+    return res;
+  };
+}
+
+// Access tokens live ~1h. With the user's stored refresh token the client renews them itself
+// (proactively from tokenExpiresAt, or after a 401) and writes the new one back onto `user` —
+// for requests that's the session copy, so the next poll reuses it instead of refreshing again.
+function oauth(user) {
+  const auth = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
+  auth.setCredentials({
+    access_token: user.accessToken,
+    refresh_token: user.refreshToken || (user.id && getRefreshToken(user.id)) || undefined,
+    expiry_date: user.tokenExpiresAt
+  });
+  auth.on('tokens', (t) => {
+    if (t.access_token) user.accessToken = t.access_token;
+    if (t.expiry_date) user.tokenExpiresAt = t.expiry_date;
+  });
+  return auth;
+}
+
+// ── Service accounts (kiosk and share-link requests) ────────
+// GA_SERVICE_ACCOUNTS maps property IDs to key files ({"123456789": "/secrets/daily.json"}); GA_SERVICE_ACCOUNT_KEY_FILE
+// covers every other property. The service account's email needs Viewer access on the GA4 property.
+const SERVICE_ACCOUNTS = JSON.parse(process.env.GA_SERVICE_ACCOUNTS || '{}');
+const serviceAuths = {};
+
+const keyFileFor = propertyId => SERVICE_ACCOUNTS[propertyId] || process.env.GA_SERVICE_ACCOUNT_KEY_FILE || null;
+const hasServiceAccount = propertyId => MODE === 'fixture' || !!keyFileFor(propertyId);
+
+function serviceAccount(propertyId) {
+  const keyFile = keyFileFor(propertyId);
+  if (!keyFile) throw new Error(`No service account configured for property ${propertyId}`);
+  serviceAuths[keyFile] = serviceAuths[keyFile] || new google.auth.GoogleAuth({
+    keyFile,
+    scopes: ['https://www.googleapis.com/auth/analytics.readonly']
+  });
+  return serviceAuths[keyFile];
+}
+
+// Interactive users read GA4 with their own OAuth grant; kiosk and share-link requests with their property's service account
+const authFor = user => (user.serviceAccount ? serviceAccount(user.propertyId) : oauth(user));
+
+// Google auth that can't be recovered without the user signing in again
+// (expired access token with no refresh token, revoked grant, rejected credentials)
+function isAuthError(e) {
+  const status = Number(e.response?.status || e.code);
+  return status === 401 || /invalid_grant|No refresh token|invalid authentication credentials/i.test(e.message || '');
+}
+
+function dataBackend(user) {
+  if (MODE === 'fixture') {
+    return {
+      properties: {
+        runReport: fixtureCall('runReport'),
+        runRealtimeReport: fixtureCall('runRealtimeReport'),
+        getMetadata: fixtureCall('getMetadata')
+      }
+    };
+  }
+  const client = google.analyticsdata({ version: 'v1beta', auth: authFor(user) });
+  const p = client.properties;
+  if (MODE === 'google') {
+    return {
+      properties: {
+        runReport: params => p.runReport(params),
+        runRealtimeReport: params => p.runRealtimeReport(params),
+        getMetadata: params => p.getMetadata(params)
+      }
+    };
+  }
+  return {
+    properties: {
+      runReport: recordCall('runReport', params => p.runReport(params)),
+      runRealtimeReport: recordCall('runRealtimeReport', params => p.runRealtimeReport(params)),
+      getMetadata: recordCall('getMetadata', params => p.getMetadata(params))
+    }
+  };
+}
+
+// Every report asks GA4 for the property's remaining quota; quota.js keeps the latest numbers.
+// Added in every mode so recorded fixtures replay under the same exact key.
+function withQuota(call, kind) {
+  return async (params = {}) => {
+    const res = await call({ ...params, requestBody: { ...params.requestBody, returnPropertyQuota: true } });
+    if (res.data?.propertyQuota) recordQuota(params.property, kind, res.data.propertyQuota);
+    return res;
+  };
+}
+
+function ga(user) {
+  const { properties } = dataBackend(user);
+  return {
+    properties: {
+      runReport: withQuota(properties.runReport, 'core'),
+      runRealtimeReport: withQuota(properties.runRealtimeReport, 'realtime'),
+      getMetadata: properties.getMetadata
+    }
+  };
+}
+
+function gaAdmin(user) {
+  if (MODE === 'fixture') {
+    return {
+      accountSummaries: { list: fixtureCall('accountSummaries.list') },
+      properties: { get: fixtureCall('properties.get') }
+    };
+  }
+  const client = google.analyticsadmin({ version: 'v1beta', auth: authFor(user) });
+  if (MODE === 'google') return client;
+  return {
+    accountSummaries: {
+      list: recordCall('accountSummaries.list', params => client.accountSummaries.list(params))
+    },
+    properties: {
+      get: recordCall('properties.get', params => client.properties.get(params))
+    }
+  };
+}
+
+// Signed-in identity used when running offline (no Google OAuth round-trip)
+function fixtureUser() {
+  const file = path.join(FIXTURE_DIR, 'user.json');
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { id: 'fixture', name: 'Fixture User', email: 'fixture@example.com', photo: '', accessToken: 'fixture' };
+}
+
+module.exports = { ga, gaAdmin, isOffline, isAuthError, hasServiceAccount, fixtureUser, MODE, FIXTURE_DIR };
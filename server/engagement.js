@@ -0,0 +1,91 @@
+// Per-property engagement settings for /api/most-read: which GA4 events mark how far a reader got, what
+// engaged time counts as a full read, and how many views a story needs before its scores mean anything.
+// By default read depth is GA4 enhanced measurement's `scroll` event, which fires once at 90% of the page;
+// sites with a read-progress tracker can map their own events instead, e.g. { 25: 'read_25', 100: 'read_end' }.
+const { collection } = require('./store');
+
+const settings = collection('engagement');
+
+const DEFAULTS = {
+  readEvents: { 90: 'scroll' },  // scroll depth % -> GA4 event name; the deepest one is "read to the end"
+  targetSeconds: 120,            // average engaged time that counts as a full read in the quality score
+  minViews: 50                   // stories with fewer views stay off the leaderboard
+};
+
+const MAX_READ_EVENTS = 5;
+const SORTS = ['attention', 'quality', 'completion', 'views'];
+
+// Quality score weights; completion's share is spread over the others when no read events were counted
+const WEIGHTS = { time: 0.4, completion: 0.35, engaged: 0.25 };
+
+const getEngagement = (propertyId) => ({ ...DEFAULTS, ...(settings.get(propertyId) || {}) });
+
+function validateEngagement(body) {
+  const { readEvents, targetSeconds, minViews } = body;
+  if (readEvents !== undefined && readEvents !== null) {
+    if (typeof readEvents !== 'object' || Array.isArray(readEvents)) return 'readEvents must map scroll depth % to GA4 event names';
+    const entries = Object.entries(readEvents);
+    if (entries.length > MAX_READ_EVENTS) return `at most ${MAX_READ_EVENTS} readEvents`;
+    for (const [depth, name] of entries) {
+      if (!/^\d+$/.test(depth) || +depth < 1 || +depth > 100) return `readEvents depth ${depth} must be a percentage from 1 to 100`;
+      if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]{0,39}$/.test(name)) return `readEvents[${depth}] must be a GA4 event name`;
+    }
+    const names = entries.map(([, name]) => name);
+    const dup = names.find((n, i) => names.indexOf(n) !== i);
+    if (dup) return `event ${dup} is mapped to more than one depth`;
+  }
+  if (targetSeconds !== undefined && targetSeconds !== null && !(Number.isInteger(targetSeconds) && targetSeconds >= 10 && targetSeconds <= 1800)) {
+    return 'targetSeconds must be an integer from 10 to 1800';
+  }
+  if (minViews !== undefined && minViews !== null && !(Number.isInteger(minViews) && minViews >= 0 && minViews <= 100000)) {
+    return 'minViews must be an integer from 0 to 100000';
+  }
+  return null;
+}
+
+// Keys present in body replace the stored value; null resets a key to its default
+function setEngagement(propertyId, body) {
+  const cfg = { ...(settings.get(propertyId) || {}) };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) delete cfg[key];
+    else cfg[key] = body[key];
+  }
+  settings.set(propertyId, cfg);
+  return getEngagement(propertyId);
+}
+
+const resetEngagement = (propertyId) => settings.remove(propertyId);
+
+// [[depth, eventName], ...], shallowest first
+const depthsOf = (cfg) => Object.entries(cfg.readEvents || {}).map(([d, name]) => [+d, name]).sort((x, y) => x[0] - y[0]);
+
+const pct = (n, d) => (d ? Math.round(Math.min(1, n / d) * 1000) / 10 : 0);
+
+// 0–100: engaged time per view against the target, share of views read to the deepest event, and share of the
+// page's sessions that were engaged (each a 0–1 ratio within its own unit)
+function qualityOf({ avgSeconds, completion, engagedRate }, cfg) {
+  const parts = [[WEIGHTS.time, Math.min(1, avgSeconds / cfg.targetSeconds)], [WEIGHTS.engaged, engagedRate]];
+  if (completion !== null) parts.push([WEIGHTS.completion, completion]);
+  const weight = parts.reduce((s, [w]) => s + w, 0);
+  return Math.round((100 * parts.reduce((s, [w, v]) => s + w * v, 0)) / weight);
+}
+
+// Most read first: attention is total engaged time, so a long read with fewer clicks can outrank a bounce-heavy hit
+const SORT_KEYS = {
+  attention: a => a.engagedSeconds,
+  quality: a => a.quality,
+  completion: a => a.readCompletion ?? -1,
+  views: a => a.pageViews
+};
+
+function rankArticles(articles, sort = 'attention', limit = 0) {
+  const key = SORT_KEYS[sort];
+  const sorted = [...articles].sort((x, y) => key(y) - key(x) || y.pageViews - x.pageViews);
+  return (limit ? sorted.slice(0, limit) : sorted).map((a, i) => ({ rank: i + 1, ...a }));
+}
+
+module.exports = {
+  DEFAULTS, SORTS, getEngagement, validateEngagement, setEngagement, resetEngagement,
+  depthsOf, pct, qualityOf, rankArticles
+};
@@ -0,0 +1,85 @@
+// Downloads for dashboard widgets: the same rows as the /api routes, untruncated, as CSV / XLSX / JSON.
+// Comparison results are flattened into Previous / Change / Change % columns.
+const ExcelJS = require('exceljs');
+const { fmt, resolveDate } = require('./compare');
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+// [key, header] per widget; columns with no values in the result set are dropped
+const WIDGETS = {
+  'top-news': [['rank', 'Rank'], ['title', 'Title'], ['path', 'Path'], ['pageViews', 'Page views'], ['activeUsers', 'Active users']],
+  categories: [['slug', 'Slug'], ['displayName', 'Category'], ['views', 'Views']],
+  'category-news': [['rank', 'Rank'], ['title', 'Title'], ['path', 'Path'], ['views', 'Views']],
+  'geo-traffic': [
+    ['city', 'City'], ['region', 'Region'], ['country', 'Country'], ['visitors', 'Visitors'],
+    ['lat', 'Latitude'], ['lng', 'Longitude'], ['precision', 'Located by']
+  ],
+  'article-search': [
+    ['title', 'Title'], ['path', 'Path'], ['pageViews', 'Page views'], ['uniqueVisitors', 'Unique visitors'],
+    ['avgTime', 'Avg time'], ['bounceRate', 'Bounce rate']
+  ],
+  'most-read': [
+    ['rank', 'Rank'], ['title', 'Title'], ['path', 'Path'], ['pageViews', 'Page views'], ['viewsRank', 'Views rank'],
+    ['engagedSessions', 'Engaged sessions'], ['sessions', 'Sessions'], ['engagedRate', 'Engaged %'],
+    ['avgEngagedTime', 'Avg engaged time'], ['readCompletion', 'Read completion %'], ['quality', 'Quality score']
+  ]
+};
+const CHANGE_COLUMNS = [['previous', 'Previous'], ['delta', 'Change'], ['deltaPct', 'Change %']];
+
+function columnsFor(widget, rows) {
+  const has = key => rows.some(r => r[key] !== undefined && r[key] !== null);
+  const cols = WIDGETS[widget].filter(([key]) => has(key)).map(([key, header]) => ({ header, value: r => r[key] }));
+  if (has('change')) {
+    for (const [key, header] of CHANGE_COLUMNS) cols.push({ header, value: r => r.change?.[key] });
+  }
+  return cols;
+}
+
+const slugify = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'property';
+
+// e.g. demo-daily_top-news_2024-05-01_2024-05-07.csv
+function filenameFor({ propertyName, widget, detail, startDate, endDate, format }) {
+  const day = s => { const d = resolveDate(s); return d ? fmt(d) : slugify(s); };
+  const parts = [slugify(propertyName), widget, detail && slugify(detail), day(startDate), day(endDate)];
+  return `${parts.filter(Boolean).join('_')}.${format}`;
+}
+
+// Titles and paths come from the CMS and the URL, so text that a spreadsheet would run as a formula
+// (=HYPERLINK(...), +cmd, @SUM) gets a leading ' and stays text. Numbers, negative ones included, are left alone.
+const defuse = v => (typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : v);
+
+const csvCell = v => {
+  if (v === undefined || v === null) return '';
+  const s = String(defuse(v));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function writeCsv(res, cols, rows) {
+  res.type('text/csv; charset=utf-8');
+  // BOM so Excel opens UTF-8 (Devanagari headlines) correctly
+  res.write('\uFEFF' + cols.map(c => csvCell(c.header)).join(',') + '\r\n');
+  for (const r of rows) res.write(cols.map(c => csvCell(c.value(r))).join(',') + '\r\n');
+  res.end();
+}
+
+async function writeXlsx(res, cols, rows, sheetName) {
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const ws = wb.addWorksheet(sheetName.slice(0, 31));
+  ws.columns = cols.map(c => ({ header: c.header, width: Math.max(c.header.length + 2, 12) }));
+  ws.getRow(1).font = { bold: true };
+  for (const r of rows) ws.addRow(cols.map(c => defuse(c.value(r) ?? null))).commit();
+  ws.commit();
+  await wb.commit();
+}
+
+// opts: { widget, format, propertyName, detail, startDate, endDate }
+async function sendExport(res, rows, opts) {
+  res.attachment(filenameFor(opts));
+  if (opts.format === 'json') return res.json(rows);
+  const cols = columnsFor(opts.widget, rows);
+  if (opts.format === 'xlsx') return writeXlsx(res, cols, rows, opts.widget);
+  writeCsv(res, cols, rows);
+}
+
+module.exports = { FORMATS, WIDGETS, sendExport, filenameFor };
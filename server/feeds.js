@@ -0,0 +1,224 @@
+// Article metadata from each property's own feeds: publish time, author and section per page path, read from
+// RSS 2.0, Atom or (Google News) sitemap XML. GA4 knows when a page was first viewed, not when it was published,
+// so this is what /api/article-performance and /api/fresh-stories measure a story's age from.
+// Feeds are https URLs (fetched through outbound.js, so never from the private network) or files under FEED_DIR
+// (default DATA_DIR/feeds). They are re-read when a route needs them and the last read is older than
+// FEED_REFRESH_MINUTES, so this works in the serverless functions too.
+const fs = require('fs');
+const path = require('path');
+const { collection, DATA_DIR } = require('./store');
+const outbound = require('./outbound');
+
+const configs = collection('feeds');
+const catalogs = collection('articleMeta');
+
+const FEED_DIR = process.env.FEED_DIR || path.join(DATA_DIR, 'feeds');
+const REFRESH_MS = parseInt(process.env.FEED_REFRESH_MINUTES || '10') * 60 * 1000;
+const KEEP_DAYS = 30;
+const MAX_FEEDS = 10;
+const MAX_BYTES = 10 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+// ── Configuration ─────────────────────────────────────────
+const getFeeds = (propertyId) => configs.get(propertyId);
+
+const isUrl = s => /^https?:\/\//i.test(s);
+// Local feeds stay inside FEED_DIR
+const isLocalName = s => !path.isAbsolute(s) && !path.normalize(s).startsWith('..');
+
+function validateFeeds(body) {
+  const { feeds } = body;
+  if (!Array.isArray(feeds) || !feeds.length) return 'feeds must be a non-empty array of feed URLs or file names';
+  if (feeds.length > MAX_FEEDS) return `At most ${MAX_FEEDS} feeds per property`;
+  for (const [i, f] of feeds.entries()) {
+    if (typeof f !== 'string' || !f.trim()) return `feeds[${i}] must be a non-empty string`;
+    if (!isUrl(f) && !isLocalName(f)) return `feeds[${i}] must be an https URL or a file name inside FEED_DIR`;
+    const bad = isUrl(f) && outbound.validateUrl(f);
+    if (bad) return `feeds[${i}] ${bad}`;
+  }
+  return null;
+}
+
+function setFeeds(user, propertyId, body) {
+  catalogs.remove(propertyId); // the next read starts from the new feeds
+  return configs.set(propertyId, {
+    propertyId,
+    feeds: body.feeds.map(f => f.trim()),
+    updatedBy: user.email || user.id,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+function resetFeeds(propertyId) {
+  catalogs.remove(propertyId);
+  return configs.remove(propertyId);
+}
+
+// ── Parsing ───────────────────────────────────────────────
+// Feeds are simple enough for a few regexes; no XML dependency
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decode(s) {
+  return s.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+    const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    try { return String.fromCodePoint(code); } catch (_) { return m; }
+  });
+}
+
+function text(raw) {
+  if (raw === undefined) return null;
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(raw);
+  const s = cdata ? cdata[1] : decode(raw.replace(/<[^>]+>/g, ''));
+  return s.trim() || null;
+}
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const blocks = (xml, name) => xml.match(new RegExp(`<${escapeRe(name)}(?:\\s[^>]*)?>[\\s\\S]*?</${escapeRe(name)}>`, 'gi')) || [];
+const tag = (xml, name) => text(new RegExp(`<${escapeRe(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRe(name)}>`, 'i').exec(xml)?.[1]);
+const attr = (el, name) => {
+  const v = new RegExp(`\\s${escapeRe(name)}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(el);
+  return v ? decode(v[2] ?? v[3]) : null;
+};
+
+// Atom: the alternate (or only) link's href
+function atomLink(entry) {
+  const links = entry.match(/<link\b[^>]*>/gi) || [];
+  const alt = links.find(l => !attr(l, 'rel') || attr(l, 'rel') === 'alternate');
+  return alt ? attr(alt, 'href') : null;
+}
+
+function items(xml) {
+  const rss = blocks(xml, 'item').map(it => ({
+    url: tag(it, 'link') || tag(it, 'guid'),
+    title: tag(it, 'title'),
+    published: tag(it, 'pubDate') || tag(it, 'dc:date'),
+    author: tag(it, 'dc:creator') || tag(it, 'author'),
+    section: tag(it, 'category')
+  }));
+  const atom = blocks(xml, 'entry').map(en => ({
+    url: atomLink(en),
+    title: tag(en, 'title'),
+    published: tag(en, 'published') || tag(en, 'updated'),
+    author: tag(blocks(en, 'author')[0] || '', 'name'),
+    section: attr((en.match(/<category\b[^>]*>/i) || [''])[0], 'term')
+  }));
+  // News sitemaps carry the publish time; a plain sitemap only has lastmod, which moves when a story is updated
+  const sitemap = blocks(xml, 'url').map(u => ({
+    url: tag(u, 'loc'),
+    title: tag(u, 'news:title'),
+    published: tag(u, 'news:publication_date') || tag(u, 'lastmod'),
+    author: null,
+    section: null
+  }));
+  return [...rss, ...atom, ...sitemap];
+}
+
+// Paths as GA4's pagePath reports them: decoded, without the trailing slash
+function pathOf(url) {
+  let p;
+  try { p = new URL(url, 'http://feed.invalid').pathname; } catch (_) { return null; }
+  try { p = decodeURIComponent(p); } catch (_) { /* malformed %-encoding: keep it encoded */ }
+  return p.length > 1 ? p.replace(/\/+$/, '') : p;
+}
+
+// Feed XML -> [{ path, url, title, publishedAt, author, section }]; items without a link or a date are skipped
+function parseFeed(xml) {
+  const out = [];
+  for (const it of items(xml)) {
+    const published = it.published && new Date(it.published);
+    const p = it.url && pathOf(it.url);
+    if (!p || !published || isNaN(published)) continue;
+    out.push({
+      path: p,
+      url: it.url,
+      title: it.title,
+      publishedAt: published.toISOString(),
+      author: it.author,
+      section: it.section
+    });
+  }
+  return out;
+}
+
+// ── Ingest ────────────────────────────────────────────────
+// Feeds over MAX_BYTES are refused before they are held in memory: by Content-Length or file size when known,
+// otherwise once the streamed body passes the cap
+const tooLarge = () => new Error(`larger than ${MAX_BYTES / 1024 / 1024} MB`);
+
+async function readCapped(stream) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > MAX_BYTES) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function read(feed) {
+  if (isUrl(feed)) {
+    const res = await outbound.request(feed, { headers: { 'User-Agent': 'NewsAnalytics feed reader' } });
+    try {
+      if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`responded ${res.statusCode}`);
+      if (Number(res.headers['content-length']) > MAX_BYTES) throw tooLarge();
+      return await readCapped(res);
+    } finally {
+      res.destroy(); // drops the connection when the body was refused part-way
+    }
+  }
+  const file = path.join(FEED_DIR, feed);
+  const stat = await fs.promises.stat(file).catch(e => {
+    throw e.code === 'ENOENT' ? new Error('no such file in FEED_DIR') : e;
+  });
+  if (stat.size > MAX_BYTES) throw tooLarge();
+  return readCapped(fs.createReadStream(file));
+}
+
+// Re-reads every feed into the stored catalog. A failing feed keeps what it contributed last time.
+async function refresh(propertyId, now = new Date()) {
+  const config = configs.get(propertyId);
+  if (!config) return null;
+  const prev = catalogs.get(propertyId);
+  const articles = { ...(prev?.articles || {}) };
+  const errors = [];
+  const results = await Promise.allSettled(config.feeds.map(read));
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') return errors.push({ feed: config.feeds[i], error: r.reason.message });
+    const found = parseFeed(r.value);
+    if (!found.length) errors.push({ feed: config.feeds[i], error: 'No items with a link and a publish date' });
+    for (const a of found) {
+      const known = articles[a.path];
+      // The first publish time sticks: feeds that re-date updated stories would otherwise reset their age
+      articles[a.path] = known && known.publishedAt < a.publishedAt ? { ...a, publishedAt: known.publishedAt } : a;
+    }
+  });
+  const cutoff = new Date(now.getTime() - KEEP_DAYS * DAY).toISOString();
+  for (const [p, a] of Object.entries(articles)) if (a.publishedAt < cutoff) delete articles[p];
+  for (const e of errors) console.error(`[feeds] ${propertyId} ${e.feed}: ${e.error}`);
+  return catalogs.set(propertyId, { propertyId, fetchedAt: now.toISOString(), errors, articles });
+}
+
+// The property's catalog, refreshed first when stale; null when it has no feeds.
+// Concurrent callers share one refresh.
+const inFlight = {};
+async function catalogFor(propertyId) {
+  if (!configs.get(propertyId)) return null;
+  const catalog = catalogs.get(propertyId);
+  if (catalog && Date.now() - new Date(catalog.fetchedAt).getTime() < REFRESH_MS) return catalog;
+  if (!inFlight[propertyId]) {
+    inFlight[propertyId] = refresh(propertyId).finally(() => { delete inFlight[propertyId]; });
+  }
+  return inFlight[propertyId];
+}
+
+// Articles published at or after `since`, newest first
+const publishedSince = (catalog, since) => Object.values(catalog.articles)
+  .filter(a => new Date(a.publishedAt) >= since)
+  .sort((a, b) => (a.publishedAt < b.publishedAt ? 1 : -1));
+
+module.exports = {
+  FEED_DIR, getFeeds, validateFeeds, setFeeds, resetFeeds,
+  parseFeed, refresh, catalogFor, publishedSince
+};
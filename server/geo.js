@@ -0,0 +1,106 @@
+// Offline geocoding for /api/geo-traffic. GA4 reports places by name only, so rows are placed from a bundled
+// gazetteer (gazetteer.json: countries, states / provinces, and cities down to India's tier-2/3 towns).
+// A city that isn't listed falls back to the centre of its region, then of its country; `precision` says which.
+// Boundary shapes for the choropleth are too big to bundle: they are read once from GEO_SHAPES_REGION /
+// GEO_SHAPES_COUNTRY (a GeoJSON URL or file) and tagged with the gazetteer's name for each place. There is no
+// default source: each deployment picks (and pins) its own, and a level without one is drawn as bubbles.
+const fs = require('fs');
+const gazetteer = require('./gazetteer.json');
+
+const LEVELS = ['city', 'region', 'country'];
+
+// Accents, case, '&' and punctuation don't matter: 'Jammu & Kashmir' = 'Jammu and Kashmir'
+const norm = s => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+
+// ── Lookup tables ─────────────────────────────────────────
+// Keyed by normalized name and every alias (old names such as Allahabad, Gurgaon, Orissa)
+const countries = {};
+for (const [name, lat, lng, aliases = []] of gazetteer.countries) {
+  for (const n of [name, ...aliases]) countries[norm(n)] = { name, lat, lng };
+}
+
+const regions = {}; // country -> name -> place
+for (const [country, list] of Object.entries(gazetteer.regions)) {
+  const byName = regions[country] = {};
+  for (const [name, lat, lng, aliases = []] of list) {
+    for (const n of [name, ...aliases]) byName[norm(n)] = { name, lat, lng };
+  }
+}
+
+// A name can be several cities (Aurangabad in Bihar and in Maharashtra), so each key holds a list
+const cities = {}; // country -> name -> [place]
+for (const [country, list] of Object.entries(gazetteer.cities)) {
+  const byName = cities[country] = {};
+  for (const [name, region, lat, lng, aliases = []] of list) {
+    for (const n of [name, ...aliases]) (byName[norm(n)] = byName[norm(n)] || []).push({ name, region, lat, lng });
+  }
+}
+
+const countryOf = name => countries[norm(name)] || null;
+const regionOf = (country, name) => (regions[country.name] || {})[norm(name)] || null;
+
+// With a known region, only a city in that region counts: a namesake elsewhere would be the wrong place
+function cityOf(country, region, name) {
+  const found = (cities[country.name] || {})[norm(name)];
+  if (!found) return null;
+  if (!region) return found[0];
+  return found.find(c => c.region === region.name || !c.region) || null;
+}
+
+// ── Geocoding ─────────────────────────────────────────────
+const point = (p, precision) => ({ lat: p.lat, lng: p.lng, precision });
+
+// { lat, lng, precision: city|region|country } for a GA4 place, or null when even the country is unknown
+function locate({ city, region, country }) {
+  const co = countryOf(country);
+  if (!co) return null;
+  const re = region ? regionOf(co, region) : null;
+  const c = city ? cityOf(co, re, city) : null;
+  if (c) return point(c, 'city');
+  if (re) return point(re, 'region');
+  return point(co, 'country');
+}
+
+const geocode = rows => rows.map(r => ({ ...r, ...(locate(r) || { lat: null, lng: null, precision: null }) }));
+
+// ── Choropleth shapes ─────────────────────────────────────
+// null: not configured
+const SHAPES = {
+  region: process.env.GEO_SHAPES_REGION || null,
+  country: process.env.GEO_SHAPES_COUNTRY || null
+};
+// Where common boundary files keep a place's name
+const NAME_PROPS = ['ST_NM', 'NAME_1', 'ADMIN', 'NAME', 'name'];
+const TIMEOUT_MS = 30000;
+
+// The gazetteer's spelling of a shape's name, so it matches GA4's (NCT of Delhi -> Delhi, Czech Republic -> Czechia)
+function placeOf(level, name) {
+  if (level === 'country') return countryOf(name)?.name || name;
+  for (const byName of Object.values(regions)) if (byName[norm(name)]) return byName[norm(name)].name;
+  return name;
+}
+
+async function readShapes(source) {
+  if (!/^https?:\/\//i.test(source)) return JSON.parse(await fs.promises.readFile(source, 'utf8'));
+  const r = await fetch(source, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!r.ok) throw new Error(`Boundary shapes responded ${r.status}`);
+  return r.json();
+}
+
+// GeoJSON with each feature's properties cut down to { name, place }. Read once per process; a failure is retried.
+const loaded = {};
+function shapes(level) {
+  if (!loaded[level]) {
+    loaded[level] = readShapes(SHAPES[level]).then(geojson => ({
+      type: 'FeatureCollection',
+      features: (geojson.features || []).map(f => {
+        const name = NAME_PROPS.map(k => f.properties?.[k]).find(Boolean) || '';
+        return { type: 'Feature', geometry: f.geometry, properties: { name, place: placeOf(level, name) } };
+      })
+    })).catch(e => { delete loaded[level]; throw e; });
+  }
+  return loaded[level];
+}
+
+module.exports = { LEVELS, SHAPES, norm, locate, geocode, shapes };
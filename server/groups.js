@@ -0,0 +1,148 @@
+// Property groups: a named set of GA4 properties (a publisher's sites) that the rollup routes read together.
+// A group belongs to the workspace it was created in (orgId null when there are no workspaces) and is visible
+// to everyone in it; members still need each property on their role's allow-list to open the rollup.
+// The merge helpers below combine per-site results from the regular queries into one ranked answer.
+const { collection, newId } = require('./store');
+const { change } = require('./compare');
+
+const groups = collection('groups');
+
+const MAX_SITES = 20;
+
+const orgIdOf = acc => acc.org?.id || null;
+const visibleTo = (group, acc) => acc.superAdmin || group.orgId === orgIdOf(acc);
+
+// partial: a PUT, where every field is optional
+function validateGroup(body, partial = false) {
+  const { name, sites } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name required';
+    if (name.length > 80) return 'name must be at most 80 characters';
+  }
+  if (!partial || sites !== undefined) {
+    if (!Array.isArray(sites) || sites.length < 2) return 'sites must list at least two properties';
+    if (sites.length > MAX_SITES) return `A group can have at most ${MAX_SITES} sites`;
+    for (const [i, s] of sites.entries()) {
+      if (!s || !/^\d+$/.test(String(s.propertyId))) return `sites[${i}].propertyId must be a numeric GA4 property ID`;
+      if (s.name !== undefined && (typeof s.name !== 'string' || !s.name.trim())) return `sites[${i}].name must be a non-empty string`;
+    }
+    if (new Set(sites.map(s => String(s.propertyId))).size !== sites.length) return 'sites must not repeat a property';
+  }
+  return null;
+}
+
+// known: { propertyId: displayName } for the properties the caller can see, to fill in unnamed sites
+function apply(group, body, known) {
+  if (body.name !== undefined) group.name = body.name.trim();
+  if (body.sites !== undefined) {
+    group.sites = body.sites.map(s => ({
+      propertyId: String(s.propertyId),
+      name: (s.name || '').trim() || known[s.propertyId] || String(s.propertyId)
+    }));
+  }
+}
+
+function createGroup(user, acc, body, known) {
+  const group = {
+    id: newId(),
+    orgId: orgIdOf(acc),
+    name: '',
+    sites: [],
+    createdBy: user.email || user.id,
+    createdAt: new Date().toISOString()
+  };
+  apply(group, body, known);
+  return groups.set(group.id, group);
+}
+
+function updateGroup(group, body, known) {
+  const next = { ...group };
+  apply(next, body, known);
+  next.updatedAt = new Date().toISOString();
+  return groups.set(next.id, next);
+}
+
+// ── Rollup merges ─────────────────────────────────────────
+// Each takes [{ site, data }] — one result per site from the matching single-property query.
+// Visitors are summed per site, so a reader of two sites counts twice; rates are visitor-weighted.
+const seconds = mmss => { const [m, s] = String(mmss).split(':').map(Number); return (m * 60 + s) || 0; };
+const mmss = dur => `${Math.floor(dur / 60)}:${(Math.round(dur) % 60).toString().padStart(2, '0')}`;
+const sum = (list, fn) => list.reduce((t, x) => t + fn(x), 0);
+const weighted = (list, value, weight) => {
+  const total = sum(list, weight);
+  return total ? sum(list, x => value(x) * weight(x)) / total : sum(list, value) / (list.length || 1);
+};
+
+function mergeRealtime(results) {
+  const data = results.map(r => r.data);
+  return {
+    activeUsers: sum(data, d => d.activeUsers),
+    bounceRate: weighted(data, d => parseFloat(d.bounceRate) || 0, d => d.activeUsers).toFixed(1) + '%',
+    avgDuration: mmss(weighted(data, d => seconds(d.avgDuration), d => d.activeUsers)),
+    pageviewsPerMin: sum(data, d => d.pageviewsPerMin),
+    newPerMin: sum(data, d => d.newPerMin),
+    sparkline: Array.from({ length: 30 }, (_, i) => sum(data, d => d.sparkline[i] || 0)),
+    sites: results
+      .map(({ site, data: d }) => ({ propertyId: site.propertyId, site: site.name, activeUsers: d.activeUsers }))
+      .sort((a, b) => b.activeUsers - a.activeUsers)
+  };
+}
+
+// Every site's top stories in one ranking, each tagged with the site it came from
+function mergeTopNews(results, limit = 10) {
+  const rows = results
+    .flatMap(({ site, data }) => data.map(n => ({ ...n, propertyId: site.propertyId, site: site.name })))
+    .sort((a, b) => b.pageViews - a.pageViews);
+  return rows.slice(0, limit).map((n, i) => ({ ...n, rank: i + 1 }));
+}
+
+function mergeBannerStats(results) {
+  const data = results.map(r => r.data);
+  const visitors = d => d.uniqueVisitors;
+  // With a comparison the change carries the unrounded rate; the display string is rounded to 0.1
+  const rawBounce = d => (d.change ? d.change.bounceRate.previous + d.change.bounceRate.delta : parseFloat(d.bounceRate) || 0);
+  const bounce = weighted(data, rawBounce, visitors);
+  const avg = weighted(data, d => seconds(d.avgEngagementTime), visitors);
+  const d = {
+    bounceRate: bounce.toFixed(1) + '%',
+    uniqueVisitors: sum(data, visitors),
+    avgEngagementTime: mmss(avg),
+    sites: results.map(({ site, data: s }) => ({ propertyId: site.propertyId, site: site.name, uniqueVisitors: s.uniqueVisitors }))
+  };
+  if (data.every(s => s.change)) {
+    const prevVisitors = s => s.change.uniqueVisitors.previous;
+    d.change = {
+      bounceRate: change(bounce, weighted(data, s => s.change.bounceRate.previous, prevVisitors)),
+      uniqueVisitors: change(d.uniqueVisitors, sum(data, prevVisitors)),
+      avgEngagementTime: change(Math.round(avg), Math.round(weighted(data, s => s.change.avgEngagementTime.previous, prevVisitors)))
+    };
+  }
+  return d;
+}
+
+// Places (cities, regions or countries) summed across sites, with each site's share
+function mergeGeoTraffic(results, limit = 250) {
+  const places = {};
+  for (const { site, data } of results) {
+    for (const r of data) {
+      const { visitors, ...where } = r; // a per-site change is replaced by the merged one below
+      const k = [r.city, r.region, r.country].join('\n');
+      const p = places[k] = places[k] || { ...where, visitors: 0, sites: [] };
+      p.visitors += visitors;
+      p.sites.push({ site: site.name, visitors });
+      if (r.change) p.previous = (p.previous || 0) + r.change.previous;
+    }
+  }
+  return Object.values(places)
+    .sort((a, b) => b.visitors - a.visitors)
+    .slice(0, limit)
+    .map(({ previous, ...p }) => {
+      p.sites.sort((a, b) => b.visitors - a.visitors);
+      return previous === undefined ? p : { ...p, change: change(p.visitors, previous) };
+    });
+}
+
+module.exports = {
+  groups, visibleTo, validateGroup, createGroup, updateGroup,
+  mergeRealtime, mergeTopNews, mergeBannerStats, mergeGeoTraffic
+};
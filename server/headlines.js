@@ -0,0 +1,139 @@
+// Headline versions per page. Desks rewrite headlines after publish and GA4 reports every pageTitle as its own row,
+// so each property keeps { [path]: [{ title, firstSeen, lastSeen }] } (ISO times) of the titles seen for a path.
+// Titles are recorded when today's top-news report loads (only paths GA4 returned with views), and when a realtime
+// row carries a known title (realtime only has titles, so that moves lastSeen and gives the row its path).
+// /api/headlines only reads: its hourly breakdown, which reaches back before the first report, is merged into the
+// answer but never stored, since any viewer can ask about any path. The title first seen last is the page's
+// current headline. Paths not seen for KEEP_DAYS are pruned.
+const { collection } = require('./store');
+const ranges = require('./ranges');
+const { change } = require('./compare');
+
+const pagesOf = collection('headlines');
+
+const KEEP_DAYS = 30;
+const MAX_PATHS = 5000;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const STEP = 10 * 60 * 1000; // lastSeen moves in steps, so a polled report doesn't rewrite the store every load
+const LIFT_HOURS = 3;        // a rewrite's lift: the page's views per hour in the hours after it vs before it
+
+// Records a sighting of title on path between from and to (ISO); true when anything changed
+function note(pages, path, title, from, to) {
+  const list = pages[path] || (pages[path] = []);
+  const v = list.find(x => x.title === title);
+  if (!v) {
+    list.push({ title, firstSeen: from, lastSeen: to });
+    return true;
+  }
+  let changed = false;
+  if (from < v.firstSeen) { v.firstSeen = from; changed = true; }
+  if (Date.parse(to) - Date.parse(v.lastSeen) >= STEP) { v.lastSeen = to; changed = true; }
+  return changed;
+}
+
+const lastSeenOf = list => list.reduce((t, v) => (v.lastSeen > t ? v.lastSeen : t), '');
+
+function save(propertyId, pages) {
+  const cutoff = new Date(Date.now() - KEEP_DAYS * DAY).toISOString();
+  const kept = Object.entries(pages)
+    .filter(([, list]) => lastSeenOf(list) >= cutoff)
+    .sort((x, y) => lastSeenOf(y[1]).localeCompare(lastSeenOf(x[1])))
+    .slice(0, MAX_PATHS);
+  pagesOf.set(propertyId, Object.fromEntries(kept));
+}
+
+// The newest headline; titles first seen together (the first report that saw them) go by insertion order,
+// which is most-viewed first
+const currentOf = list => list.reduce((c, v) => (!c || v.firstSeen > c.firstSeen ? v : c), null);
+
+// Rows from queries.topNews -> the same rows, titled with the current headline and with `headlines` (the number
+// of versions) where there is more than one. Only today's and the last-hours reports are recorded: a title in
+// a 30-day report says nothing about when it was live.
+function observeTopNews(propertyId, rows, r) {
+  const pages = pagesOf.get(propertyId) || {};
+  if (r.range === 'today' || r.hours) {
+    const now = new Date().toISOString();
+    let changed = false;
+    for (const row of rows) {
+      for (const t of row.titles || [{ title: row.title }]) changed = note(pages, row.path, t.title, now, now) || changed;
+    }
+    if (changed) save(propertyId, pages);
+  }
+  return rows.map(row => {
+    const list = pages[row.path] || [];
+    const titles = new Set([...list.map(v => v.title), ...(row.titles || []).map(t => t.title)]);
+    const current = currentOf(list);
+    return titles.size > 1 ? { ...row, title: current?.title || row.title, headlines: titles.size } : row;
+  });
+}
+
+// Rows from queries.realtimeTopNews (titles only): known titles get their path and move their lastSeen
+function observeRealtime(propertyId, rows) {
+  const pages = pagesOf.get(propertyId);
+  if (!pages) return rows;
+  const pathOf = {};
+  for (const [path, list] of Object.entries(pages)) for (const v of list) pathOf[v.title] = pathOf[v.title] || path;
+  const now = new Date().toISOString();
+  let changed = false;
+  const out = rows.map(row => {
+    const path = pathOf[row.title];
+    if (!path) return row;
+    changed = note(pages, path, row.title, now, now) || changed;
+    return pages[path].length > 1 ? { ...row, path, headlines: pages[path].length } : { ...row, path };
+  });
+  if (changed) save(propertyId, pages);
+  return out;
+}
+
+// Versions of one page, oldest first, with the views each title drew in the range (from queries.headlineHours).
+// Views per hour is over the hours a title drew views; lift compares the page's views per hour in the
+// LIFT_HOURS after a rewrite with the LIFT_HOURS before it, whatever title those views came under.
+// The stored versions are read, not written: the hourly sightings go into a copy for this answer only.
+function headlineHistory(propertyId, path, byTitle, { timeZone, now = new Date() }) {
+  const pages = { [path]: (pagesOf.get(propertyId)?.[path] || []).map(v => ({ ...v })) };
+  const hourOf = h => ranges.hourStart(h, timeZone).getTime();
+  for (const v of byTitle) {
+    if (!v.hours.length) continue;
+    const from = new Date(hourOf(v.hours[0][0])).toISOString();
+    const to = new Date(Math.min(hourOf(v.hours[v.hours.length - 1][0]) + HOUR, now.getTime())).toISOString();
+    note(pages, path, v.title, from, to);
+  }
+
+  // The page's views per hour under any title
+  const total = {};
+  for (const v of byTitle) for (const [h, views] of v.hours) total[hourOf(h)] = (total[hourOf(h)] || 0) + views;
+  // Start of the reporting hour holding t (zones such as Asia/Kolkata are off the UTC hour by 30 minutes)
+  const anchor = +Object.keys(total)[0];
+  const hourAt = t => t - ((((t - anchor) % HOUR) + HOUR) % HOUR);
+  const perHour = (from, n) => {
+    let views = 0, hours = 0;
+    for (let t = from; hours < n && t + HOUR <= now.getTime(); t += HOUR, hours++) views += total[t] || 0;
+    return hours ? Math.round(views / hours) : null;
+  };
+
+  const list = pages[path] || [];
+  const current = currentOf(list);
+  const versions = [...list].sort((x, y) => x.firstSeen.localeCompare(y.firstSeen)).map((v, i) => {
+    const seen = byTitle.find(t => t.title === v.title);
+    const out = {
+      title: v.title,
+      current: v === current,
+      firstSeen: v.firstSeen,
+      lastSeen: v.lastSeen,
+      pageViews: seen?.pageViews || 0,
+      viewsPerHour: seen ? Math.round(seen.pageViews / seen.hours.length) : 0,
+      lift: null
+    };
+    if (i > 0 && byTitle.length) {
+      // The hour the rewrite went live in counts as after it
+      const at = hourAt(Date.parse(v.firstSeen));
+      const before = perHour(at - LIFT_HOURS * HOUR, LIFT_HOURS), after = perHour(at, LIFT_HOURS);
+      if (before !== null && after !== null) out.lift = change(after, before);
+    }
+    return out;
+  });
+  return { path, current: current?.title || null, versions };
+}
+
+module.exports = { observeTopNews, observeRealtime, headlineHistory };
@@ -0,0 +1,225 @@
+// Realtime history for post-mortems of big news nights. GA4 realtime only looks back 30 minutes, so once a minute
+// a collector snapshots active users and the realtime top 10 of every property with history turned on.
+// Snapshots are appended as JSON lines to DATA_DIR/history/<propertyId>/<YYYY-MM-DD>.jsonl (the property's date,
+// in its GA4 time zone) and pruned after HISTORY_RETENTION_DAYS. Days and windows are read on the property's clock. Runs only in the long-lived server (not serverless functions).
+const fs = require('fs');
+const path = require('path');
+const { collection, DATA_DIR } = require('./store');
+const { getRefreshToken } = require('./tokens');
+const { isOffline, hasServiceAccount } = require('./datasource');
+const ranges = require('./ranges');
+
+const targets = collection('historyTargets');
+
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || '90');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MAX_WINDOW_DAYS = 7;
+const MAX_PEAK_DAYS = 92;
+const MAX_POINTS = 1440; // longer windows are bucketed down to about one point per chart pixel
+const GAP = 5 * MINUTE;  // a #1 run ends if the collector missed more than this
+
+// ── Configuration ─────────────────────────────────────────
+const getTarget = (propertyId) => targets.get(propertyId);
+
+function enableHistory(user, { propertyId, propertyName }) {
+  const existing = targets.get(propertyId);
+  if (existing) return existing;
+  return targets.set(propertyId, {
+    propertyId,
+    propertyName: propertyName || propertyId,
+    userId: user.id,
+    email: user.email,
+    enabledAt: new Date().toISOString(),
+    lastError: null
+  });
+}
+
+// Recorded snapshots are kept (until pruned); only collection stops
+const disableHistory = (propertyId) => targets.remove(propertyId);
+
+// ── Snapshot files ────────────────────────────────────────
+const dirOf = (propertyId) => path.join(HISTORY_DIR, String(propertyId).replace(/\D/g, ''));
+const fileOf = (propertyId, day) => path.join(dirOf(propertyId), `${day}.jsonl`);
+
+function append(propertyId, snap, timeZone) {
+  fs.mkdirSync(dirOf(propertyId), { recursive: true });
+  fs.appendFileSync(fileOf(propertyId, ranges.dayOf(snap.t, timeZone)), `${JSON.stringify(snap)}\n`);
+}
+
+function readDay(propertyId, day) {
+  const file = fileOf(propertyId, day);
+  if (!fs.existsSync(file)) return [];
+  const snaps = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try { snaps.push(JSON.parse(line)); } catch (_) { /* torn write from a crash — skip the line */ }
+  }
+  return snaps;
+}
+
+// File dates are in each property's zone; a cutoff on UTC's is at most a day out either way
+const utcDay = t => new Date(t).toISOString().slice(0, 10);
+
+function prune(now = new Date()) {
+  if (!fs.existsSync(HISTORY_DIR)) return;
+  const cutoff = utcDay(now.getTime() - RETENTION_DAYS * DAY);
+  for (const prop of fs.readdirSync(HISTORY_DIR)) {
+    for (const file of fs.readdirSync(path.join(HISTORY_DIR, prop))) {
+      if (file.slice(0, 10) < cutoff) fs.unlinkSync(path.join(HISTORY_DIR, prop, file));
+    }
+  }
+}
+
+// ── Collector ─────────────────────────────────────────────
+// No request to act for: a property with a service account uses it, otherwise the person who turned
+// history on, via their stored refresh token (as scheduled reports do)
+function userFor(target) {
+  if (hasServiceAccount(target.propertyId)) {
+    return { id: `history:${target.propertyId}`, serviceAccount: true, propertyId: target.propertyId };
+  }
+  const refreshToken = getRefreshToken(target.userId);
+  if (!refreshToken && !isOffline()) {
+    throw new Error('No stored Google authorization for the person who enabled history — they need to sign in again');
+  }
+  return { id: target.userId, refreshToken };
+}
+
+// load(ctx) -> { realtime, topNews }, the same cached loads the /api routes use
+async function collect(target, load, now) {
+  try {
+    const user = userFor(target);
+    const ctx = { user, session: { propertyId: target.propertyId, propertyName: target.propertyName } };
+    const [{ realtime, topNews }, timeZone] = await Promise.all([load(ctx), ranges.propertyTimeZone(user, target.propertyId)]);
+    append(target.propertyId, {
+      t: now.toISOString(),
+      activeUsers: realtime.activeUsers,
+      top: topNews.slice(0, 10).map(n => ({ title: n.title, views: n.pageViews, users: n.activeUsers }))
+    }, timeZone);
+    if (target.lastError) targets.set(target.propertyId, { ...target, lastError: null });
+  } catch (e) {
+    if (target.lastError !== e.message) targets.set(target.propertyId, { ...target, lastError: e.message });
+    console.error(`[history] ${target.propertyId} failed: ${e.message}`);
+  }
+}
+
+let timer = null;
+function startCollector(load) {
+  if (timer) return;
+  let prunedOn = null;
+  const tick = () => {
+    const now = new Date();
+    for (const target of targets.all()) collect(target, load, now);
+    if (prunedOn !== utcDay(now)) {
+      prunedOn = utcDay(now);
+      try { prune(now); } catch (e) { console.error(`[history] prune failed: ${e.message}`); }
+    }
+  };
+  // Align ticks to the start of each minute
+  setTimeout(() => { tick(); timer = setInterval(tick, MINUTE); }, MINUTE - (Date.now() % MINUTE));
+}
+
+// ── Queries ───────────────────────────────────────────────
+// A time window from ?from=&to= (ISO date-times, e.g. a news night across midnight; without an offset they are
+// the property's local time) or one ?date= (YYYY-MM-DD, today, yesterday; default today) in the property's zone.
+// { from, to } as Dates, or an error string.
+function windowOf({ date, from, to }, timeZone) {
+  if (from) {
+    const f = ranges.dateTimeOf(from, timeZone), t = to ? ranges.dateTimeOf(to, timeZone) : new Date();
+    if (isNaN(f) || isNaN(t)) return 'from and to must be ISO date-times, e.g. 2026-10-18T20:00';
+    if (t <= f) return 'to must be after from';
+    if (t - f > MAX_WINDOW_DAYS * DAY) return `A window can span at most ${MAX_WINDOW_DAYS} days`;
+    return { from: f, to: t };
+  }
+  const spec = { range: 'custom', start: date || 'today', end: date || 'today' };
+  if (ranges.validateRange(spec)) return 'date must be YYYY-MM-DD, today or yesterday';
+  const r = ranges.resolveRange(spec, timeZone);
+  return { from: ranges.startOf(r), to: ranges.endOf(r) };
+}
+
+// A file holds one local day of its property (older files: of the server), never more than a day off UTC's,
+// so the UTC days either side of the window are read too and only snapshots inside it kept
+function snapshots(propertyId, { from, to }) {
+  const out = [];
+  const last = utcDay(to.getTime() + DAY);
+  for (const d = new Date(utcDay(from.getTime() - DAY)); utcDay(d) <= last; d.setUTCDate(d.getUTCDate() + 1)) {
+    for (const s of readDay(propertyId, utcDay(d))) {
+      const t = new Date(s.t);
+      if (t >= from && t < to) out.push(s);
+    }
+  }
+  return out;
+}
+
+// Active users over the window, plus which story was #1 at each point
+function timeline(propertyId, win) {
+  const snaps = snapshots(propertyId, win);
+  const size = Math.max(1, Math.ceil(snaps.length / MAX_POINTS));
+  const points = [];
+  for (let i = 0; i < snaps.length; i += size) {
+    // Buckets keep their busiest minute, so peaks survive the downsampling
+    const peak = snaps.slice(i, i + size).reduce((a, b) => (b.activeUsers > a.activeUsers ? b : a));
+    points.push({ t: peak.t, activeUsers: peak.activeUsers, top: peak.top[0]?.title || null });
+  }
+  return { from: win.from.toISOString(), to: win.to.toISOString(), snapshots: snaps.length, points };
+}
+
+// Each stretch a story spent at #1, and per story the total time there
+function numberOnes(propertyId, win) {
+  const runs = [];
+  let run = null, lastT = null;
+  for (const s of snapshots(propertyId, win)) {
+    const t = new Date(s.t), title = s.top[0]?.title;
+    if (run && (title !== run.title || t - lastT > GAP)) run = null;
+    if (title && !run) runs.push(run = { title, from: s.t, to: s.t, minutes: 0, peakViews: 0 });
+    if (run) {
+      run.to = s.t;
+      run.minutes = Math.round((t - new Date(run.from)) / MINUTE) + 1;
+      run.peakViews = Math.max(run.peakViews, s.top[0].views || 0);
+    }
+    lastT = t;
+  }
+  const byTitle = {};
+  for (const r of runs) {
+    const story = byTitle[r.title] = byTitle[r.title] || { title: r.title, minutes: 0, runs: 0, firstAt: r.from, peakViews: 0 };
+    story.minutes += r.minutes;
+    story.runs += 1;
+    story.peakViews = Math.max(story.peakViews, r.peakViews);
+  }
+  return { runs, stories: Object.values(byTitle).sort((a, b) => b.minutes - a.minutes) };
+}
+
+// Peak and average concurrents per day of the property's calendar, start/end as GA4-style dates
+// (default the last 7 days)
+function peaks(propertyId, { start = '6daysAgo', end = 'today' }, timeZone) {
+  const spec = { range: 'custom', start, end };
+  if (ranges.validateRange(spec)) return 'start and end must be YYYY-MM-DD, today, yesterday or NdaysAgo, end not before start';
+  const r = ranges.resolveRange(spec, timeZone);
+  if (r.days > MAX_PEAK_DAYS) return `At most ${MAX_PEAK_DAYS} days at a time`;
+  const byDay = {};
+  for (const s of snapshots(propertyId, { from: ranges.startOf(r), to: ranges.endOf(r) })) {
+    const day = ranges.dayOf(s.t, timeZone);
+    (byDay[day] = byDay[day] || []).push(s);
+  }
+  const days = [];
+  for (const d = new Date(r.startDate); utcDay(d) <= r.endDate; d.setUTCDate(d.getUTCDate() + 1)) {
+    const date = utcDay(d), snaps = byDay[date] || [];
+    if (!snaps.length) { days.push({ date, peak: null, peakAt: null, peakStory: null, average: null, snapshots: 0 }); continue; }
+    const top = snaps.reduce((a, b) => (b.activeUsers > a.activeUsers ? b : a));
+    days.push({
+      date,
+      peak: top.activeUsers,
+      peakAt: top.t,
+      peakStory: top.top[0]?.title || null,
+      average: Math.round(snaps.reduce((sum, x) => sum + x.activeUsers, 0) / snaps.length),
+      snapshots: snaps.length
+    });
+  }
+  return days;
+}
+
+module.exports = {
+  targets, getTarget, enableHistory, disableHistory, startCollector,
+  windowOf, timeline, numberOnes, peaks
+};
@@ -1,24 +1,74 @@
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const express = require('express');
+const cors = require('cors');
 const cookieSession = require('cookie-session');
 const passport = require('passport');
 const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
-const { google } = require('googleapis');
-const NodeCache = require('node-cache');
 const path = require('path');
+const { ga, gaAdmin, isOffline, isAuthError, hasServiceAccount, fixtureUser } = require('./datasource');
+const { validateCompare } = require('./compare');
+const ranges = require('./ranges');
+const { rangeQuery } = ranges;
+const queries = require('./queries');
+const { saveRefreshToken } = require('./tokens');
+const reports = require('./reports');
+const alerts = require('./alerts');
+const { createHub } = require('./stream');
+const cache = require('./cache');
+const { getQuota } = require('./quota');
+const exporter = require('./export');
+const taxonomy = require('./taxonomy');
+const regions = require('./regions');
+const savedViews = require('./views');
+const access = require('./access');
+const kiosk = require('./kiosk');
+const groups = require('./groups');
+const history = require('./history');
+const feeds = require('./feeds');
+const performance = require('./performance');
+const builder = require('./builder');
+const geo = require('./geo');
+const engagement = require('./engagement');
+const headlines = require('./headlines');
+const share = require('./share');
 
 const app = express();
 app.set('trust proxy', 1); // trust Vercel/Netlify reverse proxy for secure cookies
-const cache = new NodeCache({ stdTTL: 30 });
+
+// Kiosk tokens stand in for a Google login: no cookie session, the token's fixed property,
+// GET only and only the routes its widgets need (see kiosk.js)
+app.use((req, res, next) => {
+  const token = kiosk.tokenFrom(req);
+  if (!token) return next();
+  const k = kiosk.verify(token);
+  if (!k) return res.status(401).json({ error: 'Kiosk token is invalid, expired or revoked', code: 'kiosk' });
+  if (req.method !== 'GET' || !kiosk.allows(k, req.path)) return res.status(403).json({ error: 'Not available to kiosk tokens' });
+  req.kiosk = k;
+  req.session = { propertyId: k.propertyId, propertyName: k.propertyName };
+  req.user = kiosk.userFor(k);
+  next();
+});
 
 // cookie-session: stores session in a signed cookie — works in Vercel serverless (no server-side store needed)
-app.use(cookieSession({
+const sessions = cookieSession({
   name: 'session',
   secret: process.env.SESSION_SECRET || 'secret123',
   maxAge: 24 * 60 * 60 * 1000, // 24 hours
   secure: process.env.NODE_ENV === 'production',
   sameSite: 'lax'
-}));
+});
+// Share links are public and cacheable, so they neither read nor set the session cookie
+const isShareRoute = (p) => p.startsWith('/api/share/') || p.startsWith('/embed/');
+app.use((req, res, next) => {
+  if (req.kiosk) return next();
+  if (isShareRoute(req.path)) { req.session = {}; return next(); }
+  sessions(req, res, next);
+});
+// Rolling expiry: touching the session once a minute keeps always-on newsroom screens signed in past maxAge
+app.use((req, res, next) => {
+  if (req.session && req.session.passport) req.session.touchedAt = Math.floor(Date.now() / 60000);
+  next();
+});
 // passport compat: cookie-session doesn't expose save()/regenerate(), patch it in
 app.use((req, res, next) => {
   if (req.session && !req.session.regenerate) req.session.regenerate = (cb) => cb();
@@ -30,88 +80,133 @@ app.use(passport.session());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-passport.use(new GoogleStrategy({
-  clientID: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: `${process.env.BASE_URL || 'http://localhost:3000'}/auth/google/callback`,
-}, (accessToken, refreshToken, profile, done) => {
-  done(null, { id: profile.id, name: profile.displayName, email: profile.emails[0].value, photo: profile.photos[0].value, accessToken });
-}));
+// Offline fixture mode has no OAuth client — /auth/google signs in the fixture user instead
+if (!isOffline()) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: `${process.env.BASE_URL || 'http://localhost:3000'}/auth/google/callback`,
+  }, (accessToken, refreshToken, params, profile, done) => {
+    // Refresh token stays server-side (encrypted); only the short-lived access token rides in the cookie
+    if (refreshToken) saveRefreshToken(profile.id, refreshToken, profile.emails[0].value);
+    done(null, {
+      id: profile.id, name: profile.displayName, email: profile.emails[0].value, photo: profile.photos[0].value,
+      accessToken, tokenExpiresAt: params.expires_in ? Date.now() + params.expires_in * 1000 : undefined
+    });
+  }));
+}
 passport.serializeUser((u, done) => done(null, u));
 passport.deserializeUser((u, done) => done(null, u));
 
-const requireAuth = (req, res, next) => req.isAuthenticated() ? next() : res.status(401).json({ error: 'Not authenticated' });
-
-// Requires both auth AND a selected property
-const requireProperty = (req, res, next) => {
+// Signed in and, once workspaces exist, a member of one — req.access carries the org + role (see access.js)
+const requireAuth = (req, res, next) => {
   if (!req.isAuthenticated()) return res.status(401).json({ error: 'Not authenticated' });
-  if (!req.session.propertyId) return res.status(400).json({ error: 'No property selected', needsProperty: true });
+  req.access = access.accessOf(req.user);
+  if (!req.access) return res.status(403).json({ error: 'Your account is not a member of any workspace', code: 'no-access' });
   next();
 };
 
-function ga(user) {
-  const auth = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
-  auth.setCredentials({ access_token: user.accessToken });
-  return google.analyticsdata({ version: 'v1beta', auth });
-}
+// Requires both auth AND a selected property the user's role may see
+const requireProperty = (req, res, next) => requireAuth(req, res, () => {
+  if (!req.session.propertyId) return res.status(400).json({ error: 'No property selected', needsProperty: true });
+  if (!access.allowsProperty(req.access, req.session.propertyId)) {
+    return res.status(403).json({ error: 'Your role may not view this property', needsProperty: true });
+  }
+  next();
+});
 
-function gaAdmin(user) {
-  const auth = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
-  auth.setCredentials({ access_token: user.accessToken });
-  return google.analyticsadmin({ version: 'v1beta', auth });
-}
+// After requireAuth/requireProperty: role at least `role` in the user's workspace
+const requireRole = (role) => (req, res, next) => access.can(req.access, role)
+  ? next()
+  : res.status(403).json({ error: `Requires the ${role} role` });
+
+// Route error -> JSON. Google auth that needs a fresh sign-in gets a distinct 401 the dashboard acts on
+const sendError = (res, e) => isAuthError(e)
+  ? res.status(401).json({ error: 'Google authorization expired — please sign in again', code: 'reauth' })
+  : res.status(500).json({ error: e.message });
 
 // Dynamic property from session, fallback to env var for local dev
 const PROP = (req) => `properties/${req.session.propertyId || process.env.GA4_PROPERTY_ID}`;
 // Cache key scoped to property so users don't see each other's data
 const CK = (req, key) => `${req.session.propertyId || 'default'}_${key}`;
+// A range checked by rangeQuery (default: this request's), resolved in the property's own time zone
+const rangeOf = async (req, spec = req.range) =>
+  ranges.resolveRange(spec, await ranges.propertyTimeZone(req.user, propertyIdOf(req)));
+// The analytics client for a resolved range (hour ranges add their dateHour filter)
+const gaFor = (req, r, compare = null) => ranges.withinHours(ga(req.user), r, compare);
 
 // ── Static page clean URLs ─────────────────────────────────
 app.get('/privacy', (req, res) => res.sendFile(path.join(__dirname, '../public/privacy.html')));
 app.get('/terms',   (req, res) => res.sendFile(path.join(__dirname, '../public/terms.html')));
 app.get('/dashboard', (req, res) => res.redirect('/dashboard.html'));
+app.get('/admin', (req, res) => res.redirect('/admin.html'));
 
 // ── Auth Routes ───────────────────────────────────────────
-app.get('/auth/google', passport.authenticate('google', {
-  scope: ['profile', 'email', 'https://www.googleapis.com/auth/analytics.readonly']
-}));
-app.get('/auth/google/callback',
-  passport.authenticate('google', { failureRedirect: '/?error=1' }),
-  (req, res) => res.redirect('/dashboard.html')
-);
+if (isOffline()) {
+  app.get('/auth/google', (req, res, next) => req.login(fixtureUser(), (err) => {
+    if (err) return next(err);
+    res.redirect('/dashboard.html');
+  }));
+} else {
+  app.get('/auth/google', passport.authenticate('google', {
+    scope: ['profile', 'email', 'https://www.googleapis.com/auth/analytics.readonly'],
+    // offline + consent so Google issues a refresh token on every sign-in
+    accessType: 'offline',
+    prompt: 'consent'
+  }));
+  app.get('/auth/google/callback',
+    passport.authenticate('google', { failureRedirect: '/?error=1' }),
+    (req, res) => res.redirect('/dashboard.html')
+  );
+}
+// The stored refresh token outlives the session: scheduled digests and history collection keep acting for the user
 app.get('/auth/logout', (req, res) => req.logout(() => {
   req.session = null; // wipe entire cookie-session so propertyId doesn't persist on next login
   res.redirect('/');
 }));
 app.get('/auth/me', (req, res) => {
   if (!req.isAuthenticated()) return res.json({ loggedIn: false });
+  const acc = access.accessOf(req.user);
+  // A property the user's role no longer allows counts as none selected, so the picker opens
+  const propertyId = acc && req.session.propertyId && access.allowsProperty(acc, req.session.propertyId)
+    ? req.session.propertyId : null;
   res.json({
     loggedIn: true,
     name: req.user.name,
     email: req.user.email,
     photo: req.user.photo,
-    propertyId: req.session.propertyId || null,
-    propertyName: req.session.propertyName || null
+    propertyId,
+    propertyName: propertyId ? req.session.propertyName || null : null,
+    group: acc && openGroup(req, acc) ? { id: req.session.groupId, name: req.session.groupName } : null,
+    access: access.describe(acc), // null: signed in but not in any workspace
+    kiosk: req.kiosk ? { label: req.kiosk.label, widgets: req.kiosk.widgets } : null
   });
 });
 
 // ── API: List GA4 Properties accessible to logged-in user ─
+async function listProperties(user) {
+  const response = await gaAdmin(user).accountSummaries.list({ pageSize: 200 });
+  const properties = [];
+  for (const account of (response.data.accountSummaries || [])) {
+    for (const prop of (account.propertySummaries || [])) {
+      properties.push({
+        propertyId: prop.property.replace('properties/', ''),
+        displayName: prop.displayName,
+        account: account.displayName
+      });
+    }
+  }
+  return properties;
+}
+
+// The GA4 properties this user can see that their role is also allowed to select
+const allowedProperties = async (req) =>
+  (await listProperties(req.user)).filter(p => access.allowsProperty(req.access, p.propertyId));
+
 app.get('/api/properties', requireAuth, async (req, res) => {
   try {
-    const admin = gaAdmin(req.user);
-    const response = await admin.accountSummaries.list({ pageSize: 200 });
-    const properties = [];
-    for (const account of (response.data.accountSummaries || [])) {
-      for (const prop of (account.propertySummaries || [])) {
-        properties.push({
-          propertyId: prop.property.replace('properties/', ''),
-          displayName: prop.displayName,
-          account: account.displayName
-        });
-      }
-    }
-    res.json(properties);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json(await allowedProperties(req));
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: Select a GA4 Property (stores in session) ────────
@@ -120,450 +215,1096 @@ app.post('/api/select-property', requireAuth, async (req, res) => {
     const { propertyId, displayName } = req.body;
     if (!propertyId) return res.status(400).json({ error: 'propertyId required' });
 
-    // Validate user actually has access to this property
-    const admin = gaAdmin(req.user);
-    const response = await admin.accountSummaries.list({ pageSize: 200 });
-    const allIds = (response.data.accountSummaries || [])
-      .flatMap(a => (a.propertySummaries || []).map(p => p.property.replace('properties/', '')));
-
+    // Validate user actually has access to this property (in GA4 and for their role)
+    const allIds = (await allowedProperties(req)).map(p => p.propertyId);
     if (!allIds.includes(String(propertyId))) {
       return res.status(403).json({ error: 'Access denied to this property' });
     }
 
     req.session.propertyId = String(propertyId);
     req.session.propertyName = displayName || propertyId;
+    req.session.groupId = null;
     res.json({ ok: true, propertyId: req.session.propertyId, propertyName: req.session.propertyName });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
+});
+
+// ── Realtime fetches (shared by routes, feed the alert engine) ──
+const propertyIdOf = (req) => req.session.propertyId || process.env.GA4_PROPERTY_ID;
+
+const cachedRealtime = (req) => cache.cached(CK(req, 'rt'), 15, async () => {
+  const timeZone = await ranges.propertyTimeZone(req.user, propertyIdOf(req));
+  const d = await queries.realtime(ga(req.user), PROP(req), { timeZone });
+  alerts.observeRealtime(propertyIdOf(req), d);
+  return d;
+});
+
+const cachedRealtimeTopNews = (req) => cache.cached(CK(req, 'top10_realtime'), 30, async () => {
+  const rows = await queries.realtimeTopNews(ga(req.user), PROP(req));
+  alerts.observeTopNews(propertyIdOf(req), rows);
+  return headlines.observeRealtime(propertyIdOf(req), rows);
 });
 
 // ── API: Realtime Users ───────────────────────────────────
 app.get('/api/realtime', requireProperty, async (req, res) => {
   try {
-    const k = CK(req, 'rt');
-    if (cache.has(k)) return res.json(cache.get(k));
-    const a = ga(req.user);
-
-    const now = new Date();
-    const startOfMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
-
-    const [rtTotal, rtMinutes, todayStats, monthStats] = await Promise.all([
-      a.properties.runRealtimeReport({
-        property: PROP(req),
-        requestBody: { metrics: [{ name: 'activeUsers' }] }
-      }),
-      a.properties.runRealtimeReport({
-        property: PROP(req),
-        requestBody: {
-          metrics: [{ name: 'activeUsers' }],
-          dimensions: [{ name: 'minutesAgo' }]
-        }
-      }),
-      a.properties.runReport({
-        property: PROP(req),
-        requestBody: {
-          dateRanges: [{ startDate: 'today', endDate: 'today' }],
-          metrics: [{ name: 'sessions' }, { name: 'screenPageViews' }]
-        }
-      }),
-      a.properties.runReport({
-        property: PROP(req),
-        requestBody: {
-          dateRanges: [{ startDate: startOfMonth, endDate: 'today' }],
-          metrics: [{ name: 'bounceRate' }, { name: 'averageSessionDuration' }]
-        }
-      })
-    ]);
-
-    const active = parseInt(rtTotal.data.rows?.[0]?.metricValues?.[0]?.value || 0);
-    const sparkline = Array(30).fill(0);
-    (rtMinutes.data.rows || []).forEach(row => {
-      const minAgo = parseInt(row.dimensionValues[0].value);
-      if (minAgo >= 0 && minAgo < 30) sparkline[29 - minAgo] = parseInt(row.metricValues[0].value || 0);
-    });
-    const lastMinRow = (rtMinutes.data.rows || []).find(r => r.dimensionValues[0].value === '0');
-    const pvPerMin = parseInt(lastMinRow?.metricValues?.[0]?.value || 0);
-    const today = todayStats.data.rows?.[0]?.metricValues || [];
-    const month = monthStats.data.rows?.[0]?.metricValues || [];
-    const totalPv = parseInt(today[1]?.value || 0);
-    const mins = Math.max(now.getHours() * 60 + now.getMinutes(), 1);
-    const dur = parseInt(month[1]?.value || 0);
-
-    const d = {
-      activeUsers: active,
-      bounceRate: parseFloat(month[0]?.value || 0).toFixed(1) + '%',
-      avgDuration: `${Math.floor(dur / 60)}:${(dur % 60).toString().padStart(2, '0')}`,
-      pageviewsPerMin: pvPerMin || Math.round(totalPv / mins),
-      newPerMin: Math.round(parseInt(today[0]?.value || 0) / mins),
-      sparkline
-    };
-    cache.set(k, d, 15);
-    res.json(d);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    res.json(await cachedRealtime(req));
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: Top 10 News (multi-range) ────────────────────────
-app.get('/api/top-news', requireProperty, async (req, res) => {
-  try {
-    const range = req.query.range || 'realtime';
-    const cacheKey = range === 'custom'
-      ? CK(req, `top10_custom_${req.query.start}_${req.query.end}`)
-      : CK(req, `top10_${range}`);
-    if (cache.has(cacheKey)) return res.json(cache.get(cacheKey));
-
-    let rows = [];
-
-    if (range === 'realtime') {
-      const r = await ga(req.user).properties.runRealtimeReport({
-        property: PROP(req),
-        requestBody: {
-          metrics: [{ name: 'screenPageViews' }, { name: 'activeUsers' }],
-          dimensions: [{ name: 'unifiedScreenName' }],
-          orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-          limit: 50
-        }
-      });
-      rows = (r.data.rows || [])
-        .filter(row => {
-          const t = row.dimensionValues[0].value;
-          return t && t !== '(other)' && t !== '(not set)' && t.trim() !== '';
-        })
-        .slice(0, 10)
-        .map((row, i) => ({
-          rank: i + 1, title: row.dimensionValues[0].value,
-          pageViews: parseInt(row.metricValues[0].value),
-          activeUsers: parseInt(row.metricValues[1].value)
-        }));
-      cache.set(cacheKey, rows, 30);
-    } else {
-      const now = new Date();
-      let startDate, endDate = 'today';
-      if (range === 'today')       startDate = 'today';
-      else if (range === '7days')  startDate = '7daysAgo';
-      else if (range === '30days') startDate = '30daysAgo';
-      else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-      else if (range === 'custom') {
-        startDate = req.query.start; endDate = req.query.end || 'today';
-        if (!startDate) return res.status(400).json({ error: 'start required' });
-      }
-      const r = await ga(req.user).properties.runReport({
-        property: PROP(req),
-        requestBody: {
-          dateRanges: [{ startDate, endDate }],
-          metrics: [{ name: 'screenPageViews' }],
-          dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
-          orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-          limit: 15
-        }
-      });
-      rows = (r.data.rows || [])
-        .filter(row => {
-          const t = row.dimensionValues[0].value;
-          return t && t !== '(not set)' && t.trim() !== '';
-        })
-        .slice(0, 10)
-        .map((row, i) => ({
-          rank: i + 1, title: row.dimensionValues[0].value,
-          path: row.dimensionValues[1].value,
-          pageViews: parseInt(row.metricValues[0].value),
-          activeUsers: null
-        }));
-      cache.set(cacheKey, rows, 300);
-    }
-    res.json(rows);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+// spec is the checked { range, start, end }; each property resolves it in its own time zone
+async function cachedTopNews(req, spec, compare) {
+  // Realtime reports have no date ranges, so there is nothing to compare against
+  if (spec.range === 'realtime') return cachedRealtimeTopNews(req);
+  const r = await rangeOf(req, spec);
+  const vs = compare ? `_vs_${compare}` : '';
+  return cache.cached(CK(req, `top10_${r.key}${vs}`), 300, async () => headlines.observeTopNews(propertyIdOf(req),
+    await queries.topNews(gaFor(req, r, compare), PROP(req), { startDate: r.startDate, endDate: r.endDate, compare }), r));
+}
+
+app.get('/api/top-news', requireProperty, validateCompare, rangeQuery('realtime', { realtime: true }), async (req, res) => {
+  try {
+    res.json(await cachedTopNews(req, req.range, req.query.compare || null));
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: Top Categories (dynamic range) ───────────────────
-app.get('/api/categories', requireProperty, async (req, res) => {
-  try {
-    const range = req.query.range || '7days';
-    const cacheKey = range === 'custom'
-      ? CK(req, `categories_custom_${req.query.start}_${req.query.end}`)
-      : CK(req, `categories_${range}`);
-    if (cache.has(cacheKey)) return res.json(cache.get(cacheKey));
-    const now = new Date();
-    let startDate = '7daysAgo', endDate = 'today';
-    if (range === 'today')       startDate = 'today';
-    else if (range === '7days')  startDate = '7daysAgo';
-    else if (range === '30days') startDate = '30daysAgo';
-    else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-    else if (range === 'custom') {
-      startDate = req.query.start; endDate = req.query.end || 'today';
-      if (!startDate) return res.status(400).json({ error: 'start required' });
-    }
-    const r = await ga(req.user).properties.runReport({
-      property: PROP(req),
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [{ name: 'screenPageViews' }],
-        dimensions: [{ name: 'pagePath' }],
-        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-        limit: 5000
-      }
-    });
-
-    // Extract top-level path segment as category, sum views per category
-    const catMap = {};
-    for (const row of (r.data.rows || [])) {
-      const p = row.dimensionValues[0].value;
-      const seg = p.split('/').filter(Boolean)[0];
-      if (!seg || seg.length < 2) continue;
-      // Skip non-category paths
-      if (['author', 'reader', 'newsletter', 'page', 'tag', 'search', 'amp'].includes(seg)) continue;
-      catMap[seg] = (catMap[seg] || 0) + parseInt(row.metricValues[0].value || 0);
-    }
-
-    const categories = Object.entries(catMap)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 6)
-      .map(([slug, views]) => ({
-        slug,
-        displayName: slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
-        views
-      }));
+async function cachedCategories(req, spec, compare) {
+  const vs = compare ? `_vs_${compare}` : '';
+  const r = await rangeOf(req, spec);
+  return cache.cached(CK(req, `categories_${r.key}${vs}`), 300, () => queries.categories(gaFor(req, r, compare), PROP(req), {
+    startDate: r.startDate, endDate: r.endDate, compare, taxonomy: taxonomy.getTaxonomy(propertyIdOf(req))
+  }));
+}
 
-    cache.set(cacheKey, categories, 300);
-    res.json(categories);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+app.get('/api/categories', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    res.json(await cachedCategories(req, req.range, req.query.compare || null));
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: Category News (dynamic range) ────────────────────
-app.get('/api/category-news/:slug', requireProperty, async (req, res) => {
+app.get('/api/category-news/:slug', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
   try {
     const slug = req.params.slug.toLowerCase();
-    const range = req.query.range || '7days';
-    const cacheKey = range === 'custom'
-      ? CK(req, `cat_${slug}_custom_${req.query.start}_${req.query.end}`)
-      : CK(req, `cat_${slug}_${range}`);
-    if (cache.has(cacheKey)) return res.json(cache.get(cacheKey));
-    const now = new Date();
-    let startDate = '7daysAgo', endDate = 'today';
-    if (range === 'today')       startDate = 'today';
-    else if (range === '7days')  startDate = '7daysAgo';
-    else if (range === '30days') startDate = '30daysAgo';
-    else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-    else if (range === 'custom') {
-      startDate = req.query.start; endDate = req.query.end || 'today';
-      if (!startDate) return res.status(400).json({ error: 'start required' });
-    }
-    const r = await ga(req.user).properties.runReport({
-      property: PROP(req),
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [{ name: 'screenPageViews' }],
-        dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
-        dimensionFilter: {
-          filter: { fieldName: 'pagePath', stringFilter: { matchType: 'CONTAINS', value: `/${slug}/` } }
-        },
-        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-        limit: 5
-      }
-    });
-    const rows = (r.data.rows || [])
-      .filter(row => {
-        const t = row.dimensionValues[0].value;
-        return t && t !== '(not set)' && t.trim() !== '';
-      })
-      .map((row, i) => ({
-        rank: i + 1,
-        title: row.dimensionValues[0].value,
-        path: row.dimensionValues[1].value,
-        views: parseInt(row.metricValues[0].value)
-      }));
-    cache.set(cacheKey, rows, 300);
-    res.json(rows);
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-
-// ── API: Top Authors (Current Month) ─────────────────────
-app.get('/api/top-authors', requireProperty, async (req, res) => {
-  try {
-    const k = CK(req, 'authors');
-    if (cache.has(k)) return res.json(cache.get(k));
-    const tryReport = async (dim, metric, startDate) => {
-      const r = await ga(req.user).properties.runReport({
-        property: PROP(req),
-        requestBody: {
-          dateRanges: [{ startDate, endDate: 'today' }],
-          metrics: [{ name: metric }, { name: 'screenPageViews' }],
-          dimensions: [{ name: dim }],
-          orderBys: [{ metric: { metricName: metric }, desc: true }],
-          limit: 50
-        }
-      });
-      return (r.data.rows || [])
-        .filter(row => {
-          const n = row.dimensionValues[0].value;
-          return n && n !== '(not set)' && n !== '(not provided)' && n !== '(other)' && n.trim() !== '';
-        })
-        .slice(0, 6)
-        .map((row, i) => ({
-          rank: i + 1,
-          name: row.dimensionValues[0].value,
-          views: parseInt(row.metricValues[0].value),
-          articles: parseInt(row.metricValues[1].value)
-        }));
-    };
-
-    const attempts = [
-      { dim: 'customEvent:author', metric: 'eventCount',      startDate: '30daysAgo' },
-      { dim: 'customEvent:author', metric: 'screenPageViews', startDate: '30daysAgo' },
-      { dim: 'customEvent:author', metric: 'eventCount',      startDate: '90daysAgo' },
-      { dim: 'customUser:author',  metric: 'screenPageViews', startDate: '30daysAgo' },
-      { dim: 'customUser:author',  metric: 'screenPageViews', startDate: '90daysAgo' },
-    ];
-
-    let rows = [];
-    for (const { dim, metric, startDate } of attempts) {
-      try { rows = await tryReport(dim, metric, startDate); } catch (_) { rows = []; }
-      if (rows.length) break;
-    }
-    cache.set(k, rows, 300);
-    res.json(rows);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const compare = req.query.compare || null;
+    const vs = compare ? `_vs_${compare}` : '';
+    const r = await rangeOf(req);
+    res.json(await cache.cached(CK(req, `cat_${slug}_${r.key}${vs}`), 300, () => queries.categoryNews(gaFor(req, r, compare), PROP(req), slug, {
+      startDate: r.startDate, endDate: r.endDate, compare, taxonomy: taxonomy.getTaxonomy(propertyIdOf(req))
+    })));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Category Taxonomy (per property) ─────────────────
+// Changes apply immediately: cached category results for the property are dropped
+const dropCategoryCache = async (req) => {
+  const keys = await cache.keys(CK(req, ''));
+  await cache.del(keys.filter(k => /^(categories|cat)_/.test(k.slice(CK(req, '').length))));
+};
+
+app.get('/api/taxonomy', requireProperty, (req, res) => {
+  res.json(taxonomy.getTaxonomy(propertyIdOf(req)));
+});
+
+app.put('/api/taxonomy', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    const err = taxonomy.validateTaxonomy(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const tax = taxonomy.setTaxonomy(propertyIdOf(req), req.body);
+    await dropCategoryCache(req);
+    res.json(tax);
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/taxonomy', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    taxonomy.resetTaxonomy(propertyIdOf(req));
+    await dropCategoryCache(req);
+    res.json(taxonomy.getTaxonomy(propertyIdOf(req)));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Regional News (dynamic range) ────────────────────
+// One column per configured region, in configuration order: { slug, name, views, news }
+async function cachedRegionNews(req, region) {
+  const compare = req.query.compare || null;
+  const vs = compare ? `_vs_${compare}` : '';
+  const r = await rangeOf(req);
+  return cache.cached(CK(req, `region_${region.slug}_${r.key}${vs}`), 300, () =>
+    queries.regionNews(gaFor(req, r, compare), PROP(req), region, { startDate: r.startDate, endDate: r.endDate, compare }));
+}
+
+app.get('/api/region-news', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const list = regions.getRegions(propertyIdOf(req));
+    res.json(await Promise.all(list.map(r => cachedRegionNews(req, r))));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/region-news/:slug', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const region = regions.getRegions(propertyIdOf(req)).find(r => r.slug === req.params.slug.toLowerCase());
+    if (!region) return res.status(404).json({ error: `Unknown region: ${req.params.slug}` });
+    res.json(await cachedRegionNews(req, region));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Region configuration (per property) ──────────────
+// PUT replaces the whole list; cached regional results for the property are dropped
+const dropRegionCache = async (req) => {
+  const keys = await cache.keys(CK(req, 'region_'));
+  await cache.del(keys);
+};
+
+app.get('/api/regions', requireProperty, (req, res) => {
+  res.json({ regions: regions.getRegions(propertyIdOf(req)) });
+});
+
+app.put('/api/regions', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    const err = regions.validateRegions(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const list = regions.setRegions(propertyIdOf(req), req.body);
+    await dropRegionCache(req);
+    res.json({ regions: list });
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/regions', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    regions.resetRegions(propertyIdOf(req));
+    await dropRegionCache(req);
+    res.json({ regions: [] });
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Top Authors (dynamic range) ──────────────────────
+// { source, tried, authors } — source is the dimension/metric that answered (null if none did),
+// tried lists every fallback attempted with its row count or error.
+app.get('/api/top-authors', requireProperty, rangeQuery('30days'), async (req, res) => {
+  try {
+    const r = await rangeOf(req);
+    res.json(await cache.cached(CK(req, `authors_${r.key}`), 300, () =>
+      queries.topAuthors(gaFor(req, r), PROP(req), { startDate: r.startDate, endDate: r.endDate })));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Author profile (totals + top stories) ────────────
+app.get('/api/author/:name', requireProperty, rangeQuery('30days'), async (req, res) => {
+  try {
+    const name = req.params.name.trim();
+    const r = await rangeOf(req);
+    res.json(await cache.cached(CK(req, `author_${name}_${r.key}`), 300, () =>
+      queries.authorProfile(gaFor(req, r), PROP(req), name, { startDate: r.startDate, endDate: r.endDate })));
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: GA4 Custom Dimensions (diagnostic) ───────────────
+// Property metadata changes only when someone edits custom definitions in GA4
+const cachedMetadata = (req) => cache.cached(CK(req, 'metadata'), 3600, async () =>
+  (await ga(req.user).properties.getMetadata({ name: `${PROP(req)}/metadata` })).data);
+
 app.get('/api/ga4-dims', requireProperty, async (req, res) => {
   try {
-    const meta = await ga(req.user).properties.getMetadata({ name: `${PROP(req)}/metadata` });
-    const custom = (meta.data.dimensions || [])
+    const meta = await cachedMetadata(req);
+    const custom = (meta.dimensions || [])
       .filter(d => d.apiName && d.apiName.startsWith('custom'))
       .map(d => ({ apiName: d.apiName, uiName: d.uiName, description: d.description }));
     res.json(custom);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-// ── API: Banner Stats (bounce rate, unique visitors, avg engagement) ────
-app.get('/api/banner-stats', requireProperty, async (req, res) => {
-  try {
-    const range = req.query.range || '7days';
-    const k = CK(req, `banner_${range}`);
-    if (cache.has(k)) return res.json(cache.get(k));
-    const now = new Date();
-    let startDate = '7daysAgo', endDate = 'today';
-    if (range === 'today')       startDate = 'today';
-    else if (range === '7days')  startDate = '7daysAgo';
-    else if (range === '30days') startDate = '30daysAgo';
-    else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-    const r = await ga(req.user).properties.runReport({
+// ── API: Custom reports (report builder) ──────────────────
+// Fields the builder offers for this property: the whitelist as far as its metadata has them, plus custom definitions
+const reportFields = async (req) => builder.fieldsOf(await cachedMetadata(req));
+
+app.get('/api/report/fields', requireProperty, async (req, res) => {
+  try {
+    res.json({ ...(await reportFields(req)), limits: builder.LIMITS });
+  } catch (e) { sendError(res, e); }
+});
+
+// POST, since a report spec (filters, orderBys) doesn't fit a query string
+app.post('/api/report', requireProperty, async (req, res) => {
+  try {
+    const spec = req.body || {};
+    const fields = await reportFields(req);
+    const err = builder.validateSpec(spec, fields);
+    if (err) return res.status(400).json({ error: err });
+    const r = await rangeOf(req, { range: spec.range || '7days', start: spec.start, end: spec.end });
+    const k = CK(req, `report_${builder.specKey(spec)}_${r.key}`);
+    const data = await cache.cached(k, 300, async () => (await gaFor(req, r, spec.compare || null).properties.runReport({
       property: PROP(req),
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: 'bounceRate' },
-          { name: 'totalUsers' },
-          { name: 'averageSessionDuration' }
-        ]
-      }
-    });
-    const mv = r.data.rows?.[0]?.metricValues || [];
-    const dur = parseInt(mv[2]?.value || 0);
-    const d = {
-      bounceRate: parseFloat(mv[0]?.value || 0).toFixed(1) + '%',
-      uniqueVisitors: parseInt(mv[1]?.value || 0),
-      avgEngagementTime: `${Math.floor(dur / 60)}:${(dur % 60).toString().padStart(2, '0')}`
-    };
-    cache.set(k, d, 120);
-    res.json(d);
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
-
-// ── API: Geo Traffic (city + country breakdown) ────────────
-app.get('/api/geo-traffic', requireProperty, async (req, res) => {
-  try {
-    const range = req.query.range || '7days';
-    const k = range === 'custom'
-      ? CK(req, `geo_custom_${req.query.start}_${req.query.end}`)
-      : CK(req, `geo_${range}`);
-    if (cache.has(k)) return res.json(cache.get(k));
-    const now = new Date();
-    let startDate = '7daysAgo', endDate = 'today';
-    if (range === 'today')       startDate = 'today';
-    else if (range === '7days')  startDate = '7daysAgo';
-    else if (range === '30days') startDate = '30daysAgo';
-    else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-    else if (range === 'custom') {
-      startDate = req.query.start; endDate = req.query.end || 'today';
-      if (!startDate) return res.status(400).json({ error: 'start required' });
+      requestBody: builder.toRequest(spec, r)
+    })).data);
+    res.json({ startDate: r.startDate, endDate: r.endDate, timeZone: r.timeZone, ...builder.normalize(data, spec, fields) });
+  } catch (e) { sendError(res, e); }
+});
+
+// Saved reports: yours for the selected property, plus the ones others shared on it
+const ownCustomReport = (req) => {
+  const r = builder.saved.get(req.params.id);
+  return r && r.userId === req.user.id ? r : null;
+};
+
+app.get('/api/custom-reports', requireProperty, (req, res) => {
+  const list = builder.saved.find(r => r.propertyId === propertyIdOf(req) && builder.canOpen(r, req.user));
+  res.json(list.sort((a, b) => a.name.localeCompare(b.name)).map(r => ({ ...r, mine: r.userId === req.user.id })));
+});
+
+app.post('/api/custom-reports', requireProperty, async (req, res) => {
+  try {
+    const err = builder.validateSaved(req.body || {}, await reportFields(req));
+    if (err) return res.status(400).json({ error: err });
+    res.status(201).json(builder.createSaved(req.user, req.session, req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/custom-reports/:id', requireAuth, (req, res) => {
+  const r = builder.saved.get(req.params.id);
+  if (!r || !builder.canOpen(r, req.user)) return res.status(404).json({ error: 'Report not found' });
+  res.json(r);
+});
+
+// A changed spec is checked against the report's own property, which has to be the selected one
+app.put('/api/custom-reports/:id', requireProperty, async (req, res) => {
+  try {
+    const r = ownCustomReport(req);
+    if (!r) return res.status(404).json({ error: 'Report not found' });
+    if (req.body?.report !== undefined && r.propertyId !== propertyIdOf(req)) {
+      return res.status(409).json({ error: `Select ${r.propertyName} to change this report` });
     }
-    const r = await ga(req.user).properties.runReport({
-      property: PROP(req),
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [{ name: 'totalUsers' }],
-        dimensions: [{ name: 'city' }, { name: 'country' }],
-        orderBys: [{ metric: { metricName: 'totalUsers' }, desc: true }],
-        limit: 250
-      }
-    });
-    const rows = (r.data.rows || [])
-      .filter(row => { const c = row.dimensionValues[0].value; return c && c !== '(not set)'; })
-      .map(row => ({
-        city: row.dimensionValues[0].value,
-        country: row.dimensionValues[1].value,
-        visitors: parseInt(row.metricValues[0].value)
-      }));
-    cache.set(k, rows, 300);
-    res.json(rows);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const err = builder.validateSaved(req.body || {}, await reportFields(req), true);
+    if (err) return res.status(400).json({ error: err });
+    res.json(builder.updateSaved(r, req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/custom-reports/:id', requireAuth, (req, res) => {
+  if (!ownCustomReport(req)) return res.status(404).json({ error: 'Report not found' });
+  builder.saved.remove(req.params.id);
+  res.json({ ok: true });
+});
+
+// ── API: Banner Stats (bounce rate, unique visitors, avg engagement) ────
+async function cachedBannerStats(req, spec, compare) {
+  const r = await rangeOf(req, spec);
+  const k = CK(req, `banner_${r.key}${compare ? `_vs_${compare}` : ''}`);
+  return cache.cached(k, 120, () =>
+    queries.bannerStats(gaFor(req, r, compare), PROP(req), { startDate: r.startDate, endDate: r.endDate, compare }));
+}
+
+app.get('/api/banner-stats', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    res.json(await cachedBannerStats(req, req.range, req.query.compare || null));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Geo Traffic (city / region / country, geocoded) ───
+// place: { level, region, country } — level=region is the state map, region= the drill-down into one state
+async function cachedGeoTraffic(req, spec, compare, { level = 'city', region = '', country = '' } = {}) {
+  const vs = compare ? `_vs_${compare}` : '';
+  const where = `${level}${region ? `_in_${region}` : ''}${country ? `_in_${country}` : ''}`;
+  const r = await rangeOf(req, spec);
+  return cache.cached(CK(req, `geo_${where}_${r.key}${vs}`), 300, () => queries.geoTraffic(gaFor(req, r, compare), PROP(req), {
+    startDate: r.startDate, endDate: r.endDate, compare, level, region: region || undefined, country: country || undefined
+  }));
+}
+
+// ?level=city|region|country&region=&country= -> { level, region, country } or an error string
+function geoPlace(query) {
+  const { level = 'city', region = '', country = '' } = query;
+  if (!geo.LEVELS.includes(level)) return `level must be one of: ${geo.LEVELS.join(', ')}`;
+  if (typeof region !== 'string' || typeof country !== 'string') return 'region and country must be single values';
+  if (region && level === 'country') return 'region narrows city or region level only';
+  return { level, region: region.trim(), country: country.trim() };
+}
+
+app.get('/api/geo-traffic', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const place = geoPlace(req.query);
+    if (typeof place === 'string') return res.status(400).json({ error: place });
+    res.json(await cachedGeoTraffic(req, req.range, req.query.compare || null, place));
+  } catch (e) { sendError(res, e); }
+});
+
+// Boundaries for the choropleth map (region or country); the same for every property, so browsers keep them a day
+app.get('/api/geo-shapes/:level', requireAuth, async (req, res) => {
+  try {
+    const { level } = req.params;
+    if (!Object.hasOwn(geo.SHAPES, level)) return res.status(404).json({ error: 'Shapes exist for region and country only' });
+    if (!geo.SHAPES[level]) {
+      return res.status(404).json({ error: `No ${level} boundaries configured (GEO_SHAPES_${level.toUpperCase()})`, code: 'no-shapes' });
+    }
+    const shapes = await geo.shapes(level);
+    res.set('Cache-Control', 'private, max-age=86400').json(shapes);
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Traffic Sources (channels, news buckets, per-article mix) ──
+app.get('/api/traffic-sources', requireProperty, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const compare = req.query.compare || null;
+    const vs = compare ? `_vs_${compare}` : '';
+    const r = await rangeOf(req);
+    res.json(await cache.cached(CK(req, `sources_${r.key}${vs}`), 300, () =>
+      queries.trafficSources(gaFor(req, r, compare), PROP(req), { startDate: r.startDate, endDate: r.endDate, compare })));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Most Read (engaged time, read depth, quality) ────
+// ?sort=attention|quality|completion|views; every sort works off one cached, scored list
+const cachedEngagement = (req, r) => cache.cached(CK(req, `mostread_${r.key}`), 300, () =>
+  queries.articleEngagement(gaFor(req, r), PROP(req), {
+    startDate: r.startDate, endDate: r.endDate, engagement: engagement.getEngagement(propertyIdOf(req))
+  }));
+
+app.get('/api/most-read', requireProperty, rangeQuery('today'), async (req, res) => {
+  try {
+    const sort = req.query.sort || 'attention';
+    if (!engagement.SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${engagement.SORTS.join(', ')}` });
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const r = await rangeOf(req);
+    res.json(engagement.rankArticles(await cachedEngagement(req, r), sort, limit));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Engagement settings (per property) ───────────────
+// Changes apply immediately: cached most-read lists for the property are dropped
+const dropEngagementCache = async (req) => {
+  const keys = await cache.keys(CK(req, 'mostread_'));
+  await cache.del(keys);
+};
+
+app.get('/api/engagement', requireProperty, (req, res) => {
+  res.json(engagement.getEngagement(propertyIdOf(req)));
+});
+
+app.put('/api/engagement', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    const err = engagement.validateEngagement(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const cfg = engagement.setEngagement(propertyIdOf(req), req.body);
+    await dropEngagementCache(req);
+    res.json(cfg);
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/engagement', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    engagement.resetEngagement(propertyIdOf(req));
+    await dropEngagementCache(req);
+    res.json(engagement.getEngagement(propertyIdOf(req)));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Article feeds (publish times, per property) ──────
+const feedStatus = (config, catalog) => ({
+  feeds: config.feeds,
+  updatedBy: config.updatedBy,
+  updatedAt: config.updatedAt,
+  fetchedAt: catalog?.fetchedAt || null,
+  errors: catalog?.errors || [],
+  articles: catalog ? Object.keys(catalog.articles).length : 0
+});
+
+app.get('/api/feeds', requireProperty, async (req, res) => {
+  try {
+    const config = feeds.getFeeds(propertyIdOf(req));
+    if (!config) return res.json({ feeds: [] });
+    res.json(feedStatus(config, await feeds.catalogFor(propertyIdOf(req))));
+  } catch (e) { sendError(res, e); }
+});
+
+// Reads the feeds straight away, so a bad URL shows up in the response's errors
+app.put('/api/feeds', requireProperty, requireRole('editor'), async (req, res) => {
+  try {
+    const err = feeds.validateFeeds(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const config = feeds.setFeeds(req.user, propertyIdOf(req), req.body);
+    res.json(feedStatus(config, await feeds.refresh(propertyIdOf(req))));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/feeds', requireProperty, requireRole('editor'), (req, res) => {
+  feeds.resetFeeds(propertyIdOf(req));
+  res.json({ feeds: [] });
+});
+
+// ── API: Publish-time performance ─────────────────────────
+// Stories published in the last PEER_DAYS with their hourly views, or null when the property has no feeds.
+// The cache key follows the catalog, so stories from a fresh feed read are picked up straight away.
+async function loadPublished(req) {
+  const catalog = await feeds.catalogFor(propertyIdOf(req));
+  if (!catalog) return null;
+  const now = new Date();
+  const peers = await rangeOf(req, { range: `${performance.PEER_DAYS}days` });
+  const articles = feeds.publishedSince(catalog, ranges.startOf(peers));
+  const series = await cache.cached(CK(req, `pubperf_${catalog.fetchedAt}`), 300, () =>
+    queries.hourlyViews(ga(req.user), PROP(req), articles.map(a => a.path), { startDate: peers.startDate, timeZone: peers.timeZone }));
+  const tax = taxonomy.getTaxonomy(propertyIdOf(req));
+  const entries = articles.map(article => {
+    const story = performance.summarize(article, series[article.path], { now: now.getTime(), tax, timeZone: peers.timeZone });
+    return { article, story, series: series[article.path] || [], section: story.section };
+  });
+  return { catalog, entries, now: now.getTime(), timeZone: peers.timeZone };
+}
+
+const NO_FEEDS = { configured: false, hint: 'No article feed for this property — see README “Publish-Time Performance”' };
+const SORTS = ['published', 'total', 'h1', 'h6', 'h24', 'vsPeers'];
+
+// ?path= for one story with its decay curve and peer medians; otherwise stories from the last `days`
+app.get('/api/article-performance', requireProperty, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '2');
+    if (!(days >= 1 && days <= performance.PEER_DAYS)) return res.status(400).json({ error: `days must be from 1 to ${performance.PEER_DAYS}` });
+    const sort = req.query.sort || 'published';
+    if (!SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${SORTS.join(', ')}` });
+    const data = await loadPublished(req);
+    if (!data) return res.json(NO_FEEDS);
+    const { entries, now, timeZone } = data;
+
+    if (req.query.path) {
+      const p = req.query.path.length > 1 ? req.query.path.replace(/\/+$/, '') : req.query.path;
+      const entry = entries.find(e => e.article.path === p);
+      if (!entry) return res.status(404).json({ error: `No story published in the last ${performance.PEER_DAYS} days at ${p}` });
+      const peers = Object.fromEntries(performance.WINDOWS.map(h => [`h${h}`, performance.peerBaseline(entries, entry.story, h, now, timeZone)]));
+      return res.json({
+        configured: true,
+        ...performance.withPeers(entries, entry.story, now, timeZone),
+        peers,
+        curve: performance.curve(entry.series, entry.article.publishedAt, now, timeZone)
+      });
+    }
+
+    const from = now - days * 24 * 60 * 60 * 1000;
+    const { section, author } = req.query;
+    let stories = entries
+      .filter(e => new Date(e.article.publishedAt).getTime() >= from)
+      .filter(e => !section || (e.section || '').toLowerCase() === section.toLowerCase())
+      .filter(e => !author || (e.article.author || '').toLowerCase() === author.toLowerCase())
+      .map(e => performance.withPeers(entries, e.story, now, timeZone));
+    const value = s => (sort === 'vsPeers' ? s.vsPeers : s.views[sort]) ?? -1;
+    if (sort !== 'published') stories = stories.sort((a, b) => value(b) - value(a));
+    const limit = Math.min(parseInt(req.query.limit || '50'), 200);
+    res.json({ configured: true, fetchedAt: data.catalog.fetchedAt, stories: stories.slice(0, limit) });
+  } catch (e) { sendError(res, e); }
+});
+
+// Stories published today (in the property's time zone), ranked by views so far, each against its peers at the same age
+app.get('/api/fresh-stories', requireProperty, async (req, res) => {
+  try {
+    const data = await loadPublished(req);
+    if (!data) return res.json(NO_FEEDS);
+    const { entries, now, timeZone } = data;
+    const midnight = ranges.startOf(await rangeOf(req, { range: 'today' })).getTime();
+    const limit = Math.min(parseInt(req.query.limit || '10'), 50);
+    const today = entries.filter(e => new Date(e.article.publishedAt).getTime() >= midnight);
+    const stories = today
+      .map(e => performance.withPeers(entries, e.story, now, timeZone))
+      .sort((a, b) => b.views.total - a.views.total)
+      .slice(0, limit)
+      .map((s, i) => ({ rank: i + 1, ...s }));
+    res.json({ configured: true, fetchedAt: data.catalog.fetchedAt, published: today.length, stories });
+  } catch (e) { sendError(res, e); }
 });
 
 // ── API: Article Search by title ──────────────────────────
-app.get('/api/article-search', requireProperty, async (req, res) => {
+app.get('/api/article-search', requireProperty, rangeQuery('7days'), async (req, res) => {
   try {
     const q = (req.query.q || '').trim();
     if (!q) return res.json([]);
-    const range = req.query.range || '7days';
-    const now = new Date();
-    let startDate = '7daysAgo', endDate = 'today';
-    if (range === 'today')       startDate = 'today';
-    else if (range === '7days')  startDate = '7daysAgo';
-    else if (range === '30days') startDate = '30daysAgo';
-    else if (range === 'month')  startDate = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-01`;
-    else if (range === 'custom') {
-      startDate = req.query.start; endDate = req.query.end || 'today';
-      if (!startDate) return res.status(400).json({ error: 'start required' });
+    const r = await rangeOf(req);
+    const rows = await queries.articleSearch(gaFor(req, r), PROP(req), q, { startDate: r.startDate, endDate: r.endDate });
+    res.json(rows);
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Article drill-down (time series, sources, devices, cities, referrers) ──
+// ?path= for ranged rows; realtime rows only have a title, so ?title= works too.
+// Defaults to the last 30 days so a story's whole life since publish is in view; up to 8 days are hourly.
+app.get('/api/article', requireProperty, rangeQuery('30days'), async (req, res) => {
+  try {
+    const path = (req.query.path || '').trim();
+    const title = (req.query.title || '').trim();
+    if (!path && !title) return res.status(400).json({ error: 'path or title required' });
+    const granularity = req.query.granularity;
+    if (granularity && !['hour', 'day'].includes(granularity)) {
+      return res.status(400).json({ error: 'granularity must be hour or day' });
     }
-    const r = await ga(req.user).properties.runReport({
-      property: PROP(req),
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: 'screenPageViews' },
-          { name: 'totalUsers' },
-          { name: 'averageSessionDuration' },
-          { name: 'bounceRate' }
-        ],
-        dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
-        dimensionFilter: {
-          filter: {
-            fieldName: 'pageTitle',
-            stringFilter: { matchType: 'CONTAINS', value: q, caseSensitive: false }
-          }
-        },
-        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-        limit: 20
-      }
-    });
-    const rows = (r.data.rows || [])
-      .filter(row => {
-        const t = row.dimensionValues[0].value;
-        return t && t !== '(not set)' && t.trim() !== '';
-      })
-      .map(row => {
-        const dur = parseInt(row.metricValues[2]?.value || 0);
-        return {
-          title: row.dimensionValues[0].value,
-          path: row.dimensionValues[1].value,
-          pageViews: parseInt(row.metricValues[0].value),
-          uniqueVisitors: parseInt(row.metricValues[1].value),
-          avgTime: `${Math.floor(dur / 60)}:${(dur % 60).toString().padStart(2, '0')}`,
-          bounceRate: parseFloat(row.metricValues[3]?.value || 0).toFixed(1) + '%'
-        };
+    const r = await rangeOf(req);
+    const hourly = granularity ? granularity === 'hour' : r.days <= 8;
+    const k = CK(req, `article_${path || title}_${r.key}_${hourly ? 'h' : 'd'}`);
+    res.json(await cache.cached(k, 300, () =>
+      queries.article(gaFor(req, r), PROP(req), { path, title, startDate: r.startDate, endDate: r.endDate, hourly })));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Headline versions (per page) ─────────────────────
+// Every title seen for ?path= with first / last seen, its views in the range and the lift after each rewrite
+app.get('/api/headlines', requireProperty, rangeQuery('7days'), async (req, res) => {
+  try {
+    const path = (req.query.path || '').trim();
+    if (!path.startsWith('/')) return res.status(400).json({ error: 'path required, e.g. /politics/story-slug' });
+    const r = await rangeOf(req);
+    const byTitle = await cache.cached(CK(req, `headlines_${path}_${r.key}`), 300, () =>
+      queries.headlineHours(gaFor(req, r), PROP(req), path, { startDate: r.startDate, endDate: r.endDate }));
+    res.json(headlines.headlineHistory(propertyIdOf(req), path, byTitle, { timeZone: r.timeZone }));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Export (CSV / XLSX / JSON downloads) ─────────────
+// Same query options as the widget's own route, plus format=csv|xlsx|json; returns every row, not the top N.
+// category-news takes ?slug=, article-search takes ?q=, most-read takes ?sort=.
+app.get('/api/export/:widget', requireProperty, validateCompare, async (req, res) => {
+  try {
+    const widget = req.params.widget;
+    if (!exporter.WIDGETS[widget]) return res.status(404).json({ error: `Unknown widget: ${widget}` });
+    const format = req.query.format || 'csv';
+    if (!exporter.FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${exporter.FORMATS.join(', ')}` });
+    }
+    const spec = { range: req.query.range || (widget === 'top-news' ? 'realtime' : '7days'), start: req.query.start, end: req.query.end };
+    const realtime = widget === 'top-news' && spec.range === 'realtime';
+    const err = realtime ? null : ranges.validateRange(spec);
+    if (err) return res.status(400).json({ error: err });
+    const compare = realtime || widget === 'article-search' || widget === 'most-read' ? null : req.query.compare || null;
+    const r = await rangeOf(req, realtime ? { range: 'today' } : spec);
+    const { startDate, endDate } = r;
+
+    const a = gaFor(req, r, compare), property = PROP(req);
+    const opts = { startDate, endDate, compare, limit: 0, taxonomy: taxonomy.getTaxonomy(propertyIdOf(req)) };
+    let rows, detail = realtime ? 'realtime' : null;
+    if (widget === 'top-news') {
+      rows = realtime
+        ? await queries.realtimeTopNews(a, property, { limit: 0 })
+        : await queries.topNews(a, property, opts);
+    } else if (widget === 'categories') {
+      rows = await queries.categories(a, property, opts);
+    } else if (widget === 'category-news') {
+      detail = (req.query.slug || '').toLowerCase();
+      if (!detail) return res.status(400).json({ error: 'slug required' });
+      rows = await queries.categoryNews(a, property, detail, opts);
+    } else if (widget === 'geo-traffic') {
+      const place = geoPlace(req.query);
+      if (typeof place === 'string') return res.status(400).json({ error: place });
+      detail = [place.level !== 'city' && place.level, place.region, place.country].filter(Boolean).join(' ') || null;
+      rows = await queries.geoTraffic(a, property, {
+        ...opts, level: place.level, region: place.region || undefined, country: place.country || undefined
       });
-    res.json(rows);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    } else if (widget === 'most-read') {
+      const sort = req.query.sort || 'attention';
+      if (!engagement.SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${engagement.SORTS.join(', ')}` });
+      detail = sort === 'attention' ? null : sort;
+      rows = engagement.rankArticles(await queries.articleEngagement(a, property, {
+        ...opts, engagement: engagement.getEngagement(propertyIdOf(req))
+      }), sort);
+    } else {
+      detail = (req.query.q || '').trim();
+      if (!detail) return res.status(400).json({ error: 'q required' });
+      rows = await queries.articleSearch(a, property, detail, opts);
+    }
+
+    await exporter.sendExport(res, rows, {
+      widget, format, detail, startDate, endDate,
+      propertyName: req.session.propertyName || req.session.propertyId
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: GA4 Quota ────────────────────────────────────────
+// Latest token counts GA4 reported for the selected property (core and realtime are metered apart)
+app.get('/api/quota', requireProperty, async (req, res) => {
+  try {
+    res.json(await getQuota(propertyIdOf(req)));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Live Stream (SSE) ────────────────────────────────
+// One refresh loop per property however many tabs are open; tabs pass their banner range/compare.
+// The loop runs with a snapshot of the subscriber's session (user + property), not the live request.
+const hub = createHub([
+  { event: 'realtime', interval: 15000, key: () => 'all', load: (ctx) => cachedRealtime(ctx) },
+  { event: 'top-news', interval: 30000, key: () => 'realtime', load: (ctx) => cachedRealtimeTopNews(ctx) },
+  {
+    event: 'banner', interval: 120000,
+    key: (c) => `${c.params.banner}|${c.params.compare}`,
+    load: (ctx, key) => {
+      const [range, compare] = key.split('|');
+      return cachedBannerStats(ctx, { range }, compare || null);
+    }
+  }
+]);
+
+app.get('/api/stream', requireProperty, validateCompare, (req, res) => {
+  const banner = req.query.banner || '7days';
+  const err = banner === 'custom' ? 'banner takes a named range, not custom' : ranges.validateRange({ range: banner });
+  if (err) return res.status(400).json({ error: err });
+  const ctx = { user: req.user, session: { propertyId: req.session.propertyId, propertyName: req.session.propertyName } };
+  const params = { banner, compare: req.query.compare || '' };
+  hub.subscribe(propertyIdOf(req), ctx, params, req, res);
+});
+
+// ── API: Realtime History ─────────────────────────────────
+// Minute-by-minute snapshots recorded by the collector (history.js) once an editor turns it on
+app.get('/api/history/config', requireProperty, (req, res) => {
+  const target = history.getTarget(propertyIdOf(req));
+  res.json(target ? { enabled: true, ...target } : { enabled: false });
+});
+
+app.put('/api/history/config', requireProperty, requireRole('editor'), (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be true or false' });
+  if (!enabled) {
+    history.disableHistory(propertyIdOf(req));
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...history.enableHistory(req.user, req.session) });
+});
+
+// Days and windows are read on the property's clock
+const historyZone = (req) => ranges.propertyTimeZone(req.user, propertyIdOf(req));
+
+app.get('/api/history/peaks', requireProperty, async (req, res) => {
+  try {
+    const days = history.peaks(propertyIdOf(req), req.query, await historyZone(req));
+    if (typeof days === 'string') return res.status(400).json({ error: days });
+    res.json(days);
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/history/timeline', requireProperty, async (req, res) => {
+  try {
+    const win = history.windowOf(req.query, await historyZone(req));
+    if (typeof win === 'string') return res.status(400).json({ error: win });
+    res.json(history.timeline(propertyIdOf(req), win));
+  } catch (e) { sendError(res, e); }
+});
+
+// Which stories were #1, when and for how long
+app.get('/api/history/number-ones', requireProperty, async (req, res) => {
+  try {
+    const win = history.windowOf(req.query, await historyZone(req));
+    if (typeof win === 'string') return res.status(400).json({ error: win });
+    res.json(history.numberOnes(propertyIdOf(req), win));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Traffic Alerts ───────────────────────────────────
+// Polling this also keeps the baseline fed when no realtime widget is on screen
+app.get('/api/alerts', requireProperty, async (req, res) => {
+  try {
+    await Promise.all([cachedRealtime(req), cachedRealtimeTopNews(req)]);
+    res.json(alerts.alertsSince(propertyIdOf(req), parseInt(req.query.since) || 0));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/alerts/config', requireProperty, (req, res) => {
+  res.json(alerts.getConfig(propertyIdOf(req)));
+});
+
+app.put('/api/alerts/config', requireProperty, requireRole('editor'), (req, res) => {
+  try {
+    const err = alerts.validateConfig(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    res.json(alerts.setConfig(propertyIdOf(req), req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Scheduled Digest Reports ─────────────────────────
+const ownReport = (req) => {
+  const r = reports.reports.get(req.params.id);
+  return r && r.userId === req.user.id ? r : null;
+};
+
+app.get('/api/reports', requireAuth, (req, res) => {
+  res.json(reports.reports.find(r => r.userId === req.user.id));
+});
+
+app.post('/api/reports', requireProperty, requireRole('editor'), (req, res) => {
+  try {
+    const err = reports.validateReport(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const report = reports.createReport(req.user, {
+      propertyId: req.session.propertyId,
+      propertyName: req.session.propertyName
+    }, req.body);
+    res.status(201).json(report);
+  } catch (e) { sendError(res, e); }
+});
+
+// Render the digest for the selected property without sending it
+app.get('/api/reports/preview', requireProperty, async (req, res) => {
+  try {
+    const range = req.query.range || 'yesterday';
+    if (!reports.DIGEST_RANGES.includes(range)) {
+      return res.status(400).json({ error: `range must be one of: ${reports.DIGEST_RANGES.join(', ')}` });
+    }
+    const digest = await reports.composeDigest(ga(req.user), {
+      propertyId: req.session.propertyId,
+      propertyName: req.session.propertyName,
+      range,
+      timeZone: await ranges.propertyTimeZone(req.user, propertyIdOf(req))
+    });
+    if (req.query.format === 'text') return res.type('text/plain').send(reports.renderText(digest));
+    if (req.query.format === 'json') return res.json(digest);
+    res.type('html').send(reports.renderHtml(digest));
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/api/reports/:id/send', requireAuth, requireRole('editor'), async (req, res) => {
+  try {
+    const report = ownReport(req);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    res.json(await reports.sendReport(report));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/reports/:id', requireAuth, (req, res) => {
+  if (!ownReport(req)) return res.status(404).json({ error: 'Report not found' });
+  reports.reports.remove(req.params.id);
+  res.json({ ok: true });
+});
+
+// ── API: Saved Views (per-user dashboard layouts) ──────────
+// A view belongs to the property that was selected when it was saved. Shared views open for
+// anyone with the link (/dashboard.html?view=<id>) whose Google account can see that property.
+const ownView = (req) => {
+  const v = savedViews.views.get(req.params.id);
+  return v && v.userId === req.user.id ? v : null;
+};
+
+app.get('/api/views', requireAuth, (req, res) => {
+  const mine = savedViews.views.find(v => v.userId === req.user.id &&
+    (!req.query.propertyId || v.propertyId === String(req.query.propertyId)));
+  res.json(mine.sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+app.post('/api/views', requireProperty, (req, res) => {
+  try {
+    const err = savedViews.validateView(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const view = savedViews.createView(req.user, {
+      propertyId: req.session.propertyId,
+      propertyName: req.session.propertyName
+    }, req.body);
+    res.status(201).json(view);
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/views/:id', requireAuth, (req, res) => {
+  const view = savedViews.views.get(req.params.id);
+  if (!view || !savedViews.canOpen(view, req.user)) return res.status(404).json({ error: 'View not found' });
+  res.json(view);
+});
+
+app.put('/api/views/:id', requireAuth, (req, res) => {
+  try {
+    const view = ownView(req);
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    const err = savedViews.validateView(req.body || {}, true);
+    if (err) return res.status(400).json({ error: err });
+    res.json(savedViews.updateView(view, req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/views/:id', requireAuth, (req, res) => {
+  if (!ownView(req)) return res.status(404).json({ error: 'View not found' });
+  savedViews.views.remove(req.params.id);
+  res.json({ ok: true });
+});
+
+// Open a view: selects its property in the session (after the same access check as select-property)
+app.post('/api/views/:id/open', requireAuth, async (req, res) => {
+  try {
+    const view = savedViews.views.get(req.params.id);
+    if (!view || !savedViews.canOpen(view, req.user)) return res.status(404).json({ error: 'View not found' });
+    const prop = (await allowedProperties(req)).find(p => p.propertyId === view.propertyId);
+    if (!prop) return res.status(403).json({ error: 'Access denied to this view\'s property' });
+    req.session.propertyId = prop.propertyId;
+    req.session.propertyName = prop.displayName;
+    req.session.groupId = null;
+    res.json({ view, propertyId: prop.propertyId, propertyName: prop.displayName });
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Property groups (rollups across sites) ───────────
+// The selected group, if it's still visible to this user and every site is on their role's allow-list
+const openGroup = (req, acc) => {
+  const group = req.session.groupId && groups.groups.get(req.session.groupId);
+  if (!group || !groups.visibleTo(group, acc)) return null;
+  return group.sites.every(s => access.allowsProperty(acc, s.propertyId)) ? group : null;
+};
+
+const requireGroup = (req, res, next) => requireAuth(req, res, () => {
+  req.group = openGroup(req, req.access);
+  if (!req.group) return res.status(400).json({ error: 'No property group selected', needsProperty: true });
+  next();
+});
+
+// Each site is read through the regular per-property cached queries, as if it were the selected property
+const perSite = (req, load) => Promise.all(req.group.sites.map(async site => ({
+  site,
+  data: await load({ user: req.user, session: { propertyId: site.propertyId, propertyName: site.name } })
+})));
+
+// Sites must be properties the caller can open: { propertyId: displayName }, or an error string
+async function knownSites(req, sites) {
+  const known = Object.fromEntries((await allowedProperties(req)).map(p => [p.propertyId, p.displayName]));
+  const missing = (sites || []).find(s => !known[String(s.propertyId)]);
+  return missing ? `Access denied to property ${missing.propertyId}` : known;
+}
+
+const visibleGroup = (req) => {
+  const group = groups.groups.get(req.params.id);
+  return group && groups.visibleTo(group, req.access) ? group : null;
+};
+
+app.get('/api/groups', requireAuth, (req, res) => {
+  res.json(groups.groups.find(g => groups.visibleTo(g, req.access)));
+});
+
+app.post('/api/groups', requireAuth, requireRole('editor'), async (req, res) => {
+  try {
+    const err = groups.validateGroup(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    const known = await knownSites(req, req.body.sites);
+    if (typeof known === 'string') return res.status(403).json({ error: known });
+    res.status(201).json(groups.createGroup(req.user, req.access, req.body, known));
+  } catch (e) { sendError(res, e); }
+});
+
+app.put('/api/groups/:id', requireAuth, requireRole('editor'), async (req, res) => {
+  try {
+    const group = visibleGroup(req);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    const err = groups.validateGroup(req.body || {}, true);
+    if (err) return res.status(400).json({ error: err });
+    const known = await knownSites(req, req.body.sites);
+    if (typeof known === 'string') return res.status(403).json({ error: known });
+    res.json(groups.updateGroup(group, req.body, known));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/groups/:id', requireAuth, requireRole('editor'), (req, res) => {
+  const group = visibleGroup(req);
+  if (!group) return res.status(404).json({ error: 'Group not found' });
+  groups.groups.remove(group.id);
+  res.json({ ok: true });
+});
+
+// Selecting a group replaces the selected property until a property is picked again
+app.post('/api/select-group', requireAuth, async (req, res) => {
+  try {
+    const group = groups.groups.get(req.body?.groupId);
+    if (!group || !groups.visibleTo(group, req.access)) return res.status(404).json({ error: 'Group not found' });
+    const known = await knownSites(req, group.sites);
+    if (typeof known === 'string') return res.status(403).json({ error: known });
+    req.session.groupId = group.id;
+    req.session.groupName = group.name;
+    req.session.propertyId = null;
+    req.session.propertyName = null;
+    res.json({ ok: true, groupId: group.id, groupName: group.name, sites: group.sites });
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/rollup/realtime', requireGroup, async (req, res) => {
+  try {
+    res.json(groups.mergeRealtime(await perSite(req, cachedRealtime)));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/rollup/top-news', requireGroup, validateCompare, rangeQuery('realtime', { realtime: true }), async (req, res) => {
+  try {
+    const compare = req.query.compare || null;
+    res.json(groups.mergeTopNews(await perSite(req, ctx => cachedTopNews(ctx, req.range, compare))));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/rollup/banner-stats', requireGroup, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const compare = req.query.compare || null;
+    res.json(groups.mergeBannerStats(await perSite(req, ctx => cachedBannerStats(ctx, req.range, compare))));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/rollup/geo-traffic', requireGroup, validateCompare, rangeQuery('7days'), async (req, res) => {
+  try {
+    const place = geoPlace(req.query);
+    if (typeof place === 'string') return res.status(400).json({ error: place });
+    const compare = req.query.compare || null;
+    res.json(groups.mergeGeoTraffic(await perSite(req, ctx => cachedGeoTraffic(ctx, req.range, compare, place))));
+  } catch (e) { sendError(res, e); }
+});
+
+// ── API: Kiosk tokens (unattended TVs) ────────────────────
+// Issued for the selected property; the URL opens the dashboard with no Google sign-in
+const kioskOut = (req, k) => {
+  const token = kiosk.tokenOf(k);
+  const base = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return { ...k, token, url: `${base}/dashboard.html?kiosk=${token}` };
+};
+
+app.get('/api/kiosk-tokens', requireProperty, requireRole('admin'), (req, res) => {
+  const list = kiosk.tokens.find(k => k.propertyId === req.session.propertyId);
+  res.json(list.map(k => kioskOut(req, k)));
+});
+
+app.post('/api/kiosk-tokens', requireProperty, requireRole('admin'), (req, res) => {
+  try {
+    const err = kiosk.validateKiosk(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    if (!hasServiceAccount(req.session.propertyId)) {
+      return res.status(400).json({ error: 'No service account configured for this property — set GA_SERVICE_ACCOUNTS or GA_SERVICE_ACCOUNT_KEY_FILE' });
+    }
+    const k = kiosk.createKiosk(req.user, {
+      propertyId: req.session.propertyId,
+      propertyName: req.session.propertyName
+    }, req.body);
+    res.status(201).json(kioskOut(req, k));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/kiosk-tokens/:id', requireProperty, requireRole('admin'), (req, res) => {
+  const k = kiosk.tokens.get(req.params.id);
+  if (!k || k.propertyId !== req.session.propertyId) return res.status(404).json({ error: 'Kiosk token not found' });
+  res.json(kiosk.revokeKiosk(k));
+});
+
+// ── Share links (public embeds of one widget) ─────────────
+// The token is the credential: no session, GET only, one widget's published fields. Errors are readable from any
+// origin so an embed can say its link expired; data only from the token's origins when it lists any.
+const shareCors = (s) => cors({ origin: s && s.origins.length ? s.origins : '*', methods: ['GET'], maxAge: 86400 });
+
+const requireShare = (req, res, next) => {
+  const s = share.verify(req.params.token);
+  shareCors(s)(req, res, () => {
+    if (!s) return res.set('Cache-Control', 'no-store').status(401).json({ error: 'Share link is invalid, expired or revoked', code: 'share' });
+    req.share = s;
+    next();
+  });
+};
+
+// The same cached loads the dashboard uses, read as the property's service account
+async function loadShared(s) {
+  const ctx = { user: share.userFor(s), session: { propertyId: s.propertyId, propertyName: s.propertyName } };
+  const spec = { range: s.range };
+  if (s.widget === 'realtime') return cachedRealtime(ctx);
+  if (s.widget === 'top-news') return cachedTopNews(ctx, spec, null);
+  if (s.widget === 'categories') return cachedCategories(ctx, spec, null);
+  return engagement.rankArticles(await cachedEngagement(ctx, await rangeOf(ctx, spec)), 'attention', s.limit);
+}
+
+app.get('/api/share/:token', requireShare, async (req, res) => {
+  const s = req.share, { ttl } = share.WIDGETS[s.widget];
+  try {
+    const data = share.publish(s, await loadShared(s));
+    // Never served from a CDN or browser cache, so revoking a link takes effect at once; the loaders' own cache
+    // keeps GA4 calls to one per refresh however many pages show the widget
+    res.set('Cache-Control', 'private, no-cache').json({
+      widget: s.widget,
+      label: s.label,
+      range: s.range,
+      rangeLabel: s.range ? ranges.labelOf(s.range) : null,
+      refreshSeconds: ttl,
+      expiresAt: s.expiresAt,
+      updatedAt: new Date().toISOString(),
+      data
+    });
+  } catch (e) {
+    res.set('Cache-Control', 'no-store');
+    sendError(res, e);
+  }
+});
+
+// The embeddable page; it fetches /api/share/<token> itself. Framable by the token's origins, or anywhere.
+app.get('/embed/:token', (req, res) => {
+  const s = share.verify(req.params.token);
+  res.set({
+    'Content-Security-Policy': `frame-ancestors ${s && s.origins.length ? s.origins.join(' ') : '*'}`,
+    'Cache-Control': 'public, max-age=300'
+  }).sendFile(path.join(__dirname, '../public/embed.html'));
+});
+
+// ── API: Share links (issued per property) ────────────────
+const shareOut = (req, s) => {
+  const token = share.tokenOf(s);
+  const base = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/embed/${token}`;
+  return {
+    ...s, token, url, json: `${base}/api/share/${token}`,
+    iframe: `<iframe src="${url}" title="${s.label.replace(/"/g, '&quot;')}" width="100%" height="420" style="border:0" loading="lazy"></iframe>`
+  };
+};
+
+app.get('/api/share-tokens', requireProperty, requireRole('admin'), (req, res) => {
+  const list = share.shares.find(s => s.propertyId === req.session.propertyId);
+  res.json(list.map(s => shareOut(req, s)));
+});
+
+app.post('/api/share-tokens', requireProperty, requireRole('admin'), (req, res) => {
+  try {
+    const err = share.validateShare(req.body || {}, { categoryLimit: taxonomy.getTaxonomy(req.session.propertyId).limit });
+    if (err) return res.status(400).json({ error: err });
+    if (!hasServiceAccount(req.session.propertyId)) {
+      return res.status(400).json({ error: 'No service account configured for this property — set GA_SERVICE_ACCOUNTS or GA_SERVICE_ACCOUNT_KEY_FILE' });
+    }
+    const s = share.createShare(req.user, {
+      propertyId: req.session.propertyId,
+      propertyName: req.session.propertyName
+    }, req.body);
+    res.status(201).json(shareOut(req, s));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/share-tokens/:id', requireProperty, requireRole('admin'), (req, res) => {
+  const s = share.shares.get(req.params.id);
+  if (!s || s.propertyId !== req.session.propertyId) return res.status(404).json({ error: 'Share link not found' });
+  res.json(share.revokeShare(s));
+});
+
+// ── API: Workspace administration ─────────────────────────
+// Super admins (ADMIN_EMAILS) manage every org and create new ones; an org's admins manage their own org
+const manageableOrg = (req) => {
+  const org = access.orgs.get(req.params.id);
+  return org && access.canManage(req.access, org) ? org : null;
+};
+
+app.get('/api/admin/orgs', requireAuth, (req, res) => {
+  if (!req.access.superAdmin && req.access.role !== 'admin') return res.status(403).json({ error: 'Requires the admin role' });
+  res.json(access.orgs.find(o => access.canManage(req.access, o)));
+});
+
+app.post('/api/admin/orgs', requireAuth, (req, res) => {
+  try {
+    if (!req.access.superAdmin) return res.status(403).json({ error: 'Only super admins (ADMIN_EMAILS) can create workspaces' });
+    const err = access.validateOrg(req.body || {});
+    if (err) return res.status(400).json({ error: err });
+    res.status(201).json(access.createOrg(req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/admin/orgs/:id', requireAuth, (req, res) => {
+  const org = manageableOrg(req);
+  if (!org) return res.status(404).json({ error: 'Workspace not found' });
+  res.json(org);
+});
+
+app.put('/api/admin/orgs/:id', requireAuth, (req, res) => {
+  try {
+    const org = manageableOrg(req);
+    if (!org) return res.status(404).json({ error: 'Workspace not found' });
+    const err = access.validateOrg(req.body || {}, true, org.id);
+    if (err) return res.status(400).json({ error: err });
+    res.json(access.updateOrg(org, req.body));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/admin/orgs/:id', requireAuth, (req, res) => {
+  if (!req.access.superAdmin) return res.status(403).json({ error: 'Only super admins (ADMIN_EMAILS) can delete workspaces' });
+  if (!access.deleteOrg(req.params.id)) return res.status(404).json({ error: 'Workspace not found' });
+  res.json({ ok: true });
 });
 
 // Local dev: start the server directly
@@ -571,6 +1312,11 @@ app.get('/api/article-search', requireProperty, async (req, res) => {
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, () => console.log(`✅ Running at http://localhost:${PORT}`));
+  reports.startScheduler();
+  history.startCollector(async (ctx) => {
+    const [realtime, topNews] = await Promise.all([cachedRealtime(ctx), cachedRealtimeTopNews(ctx)]);
+    return { realtime, topNews };
+  });
 }
 
 module.exports = app;
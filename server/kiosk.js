@@ -0,0 +1,103 @@
+// Kiosk tokens for unattended newsroom TVs: a signed, revocable, read-only credential for one property and a
+// chosen set of dashboard widgets. Requests carrying one (?kiosk=<token> or `Authorization: Bearer <token>`)
+// skip the Google login entirely and read GA4 as the service account configured for that property.
+// Token = k1.<id>.<HMAC of id>: the signature stops guessing, the stored record makes it revocable.
+const crypto = require('crypto');
+const { collection, newId } = require('./store');
+const { WIDGETS } = require('./views');
+
+const tokens = collection('kioskTokens');
+
+const SECRET = process.env.KIOSK_TOKEN_SECRET || process.env.SESSION_SECRET || 'secret123';
+const MAX_DAYS = 366;
+
+// GET routes each widget needs; anything not listed here (or in ALWAYS) is closed to kiosk tokens.
+// Widgets whose rows open the article drill-down also get its routes, for any path.
+const DRILL_DOWN = ['/api/article', '/api/headlines'];
+const WIDGET_ROUTES = {
+  banner: ['/api/realtime', '/api/banner-stats'],
+  'top-news': ['/api/top-news', ...DRILL_DOWN],
+  'most-read': ['/api/most-read', ...DRILL_DOWN],
+  fresh: ['/api/fresh-stories', '/api/article-performance'],
+  search: ['/api/article-search', ...DRILL_DOWN],
+  categories: ['/api/categories', '/api/category-news', ...DRILL_DOWN],
+  regions: ['/api/region-news', ...DRILL_DOWN],
+  authors: ['/api/top-authors', '/api/author', ...DRILL_DOWN],
+  sources: ['/api/traffic-sources'],
+  geo: ['/api/geo-traffic', '/api/geo-shapes'],
+  history: ['/api/history']
+  // builder: reports run as POSTs, which kiosk tokens can't make
+};
+const ALWAYS = ['/auth/me', '/api/stream', '/api/alerts', '/api/quota'];
+
+const sign = id => crypto.createHmac('sha256', SECRET).update(id).digest('base64url');
+const tokenOf = k => `k1.${k.id}.${sign(k.id)}`;
+
+function tokenFrom(req) {
+  const auth = req.get('authorization') || '';
+  if (auth.startsWith('Bearer k1.')) return auth.slice(7);
+  return typeof req.query.kiosk === 'string' ? req.query.kiosk : null;
+}
+
+// Token string -> live record, or null (malformed, bad signature, revoked or expired)
+function verify(token) {
+  const [v, id, sig] = String(token).split('.');
+  if (v !== 'k1' || !id || !sig) return null;
+  const expected = Buffer.from(sign(id));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const k = tokens.get(id);
+  if (!k || k.revokedAt) return null;
+  if (k.expiresAt && new Date(k.expiresAt) < new Date()) return null;
+  return k;
+}
+
+const matches = (path, route) => path === route || path.startsWith(`${route}/`);
+
+// Static pages (the dashboard itself) are open; API routes only as the token's widgets need them
+function allows(k, path) {
+  if (!path.startsWith('/api/') && !path.startsWith('/auth/')) return true;
+  const routes = [...ALWAYS, ...k.widgets.flatMap(w => WIDGET_ROUTES[w])];
+  return routes.some(r => matches(path, r));
+}
+
+// Stands in for req.user; datasource.js reads `serviceAccount` to pick credentials
+const userFor = k => ({
+  id: `kiosk:${k.id}`, name: k.label, email: '', photo: '',
+  kiosk: true, serviceAccount: true, propertyId: k.propertyId
+});
+
+function validateKiosk(body) {
+  const { label, widgets, expiresInDays } = body;
+  if (label !== undefined && (typeof label !== 'string' || label.length > 80)) return 'label must be a string of at most 80 characters';
+  if (!Array.isArray(widgets) || !widgets.length) return 'widgets must be a non-empty array';
+  const bad = widgets.find(w => !WIDGET_ROUTES[w]);
+  if (bad) return `${WIDGETS.includes(bad) ? 'Not available on kiosk screens' : 'Unknown widget'}: ${bad} (expected ${Object.keys(WIDGET_ROUTES).join(', ')})`;
+  if (expiresInDays !== undefined && expiresInDays !== null &&
+    !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_DAYS)) {
+    return `expiresInDays must be an integer from 1 to ${MAX_DAYS} (or null for no expiry)`;
+  }
+  return null;
+}
+
+function createKiosk(user, { propertyId, propertyName }, body) {
+  const now = new Date();
+  const k = {
+    id: newId(),
+    label: (body.label || '').trim() || 'Newsroom TV',
+    propertyId,
+    propertyName: propertyName || propertyId,
+    widgets: WIDGETS.filter(w => body.widgets.includes(w)),
+    createdBy: user.email || user.id,
+    createdAt: now.toISOString(),
+    expiresAt: body.expiresInDays ? new Date(now.getTime() + body.expiresInDays * 86400000).toISOString() : null,
+    revokedAt: null
+  };
+  return tokens.set(k.id, k);
+}
+
+function revokeKiosk(k) {
+  return tokens.set(k.id, { ...k, revokedAt: new Date().toISOString() });
+}
+
+module.exports = { tokens, tokenOf, tokenFrom, verify, allows, userFor, validateKiosk, createKiosk, revokeKiosk };
@@ -0,0 +1,85 @@
+// Outbound HTTP to URLs people type in (alert webhooks, report webhooks, article feeds). Those must not reach the
+// server's own network: only https is allowed, and every address a host resolves to is checked against private,
+// loopback and link-local ranges when the connection is made, so DNS can't swap in an internal address later.
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4 written as IPv6
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return BLOCKED.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// What is wrong with url as an outbound target, or null. Host names are checked again when they are resolved.
+function validateUrl(url) {
+  let u;
+  try { u = new URL(url); } catch (_) { return 'must be a valid URL'; }
+  if (u.protocol !== 'https:') return 'must be an https URL';
+  const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'must not point at this server';
+  if (net.isIP(host) && isPrivateAddress(host)) return 'must not point at a private or link-local address';
+  return null;
+}
+
+// dns.lookup that refuses hosts resolving to a blocked address; https.request connects to what it returns
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a private or link-local address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves to the response (a readable stream with statusCode and headers). GETs follow redirects, each target
+// checked like the first; the whole exchange, body included, is cut off after TIMEOUT_MS.
+function request(url, { method = 'GET', headers = {}, body } = {}, redirects = 0) {
+  const err = validateUrl(url);
+  if (err) return Promise.reject(new Error(`${url} ${err}`));
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers, lookup }, (res) => {
+      const location = res.headers.location;
+      if (method === 'GET' && res.statusCode >= 300 && res.statusCode < 400 && location) {
+        clearTimeout(timer);
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) return reject(new Error('too many redirects'));
+        return resolve(request(new URL(location, url).href, { method, headers }, redirects + 1));
+      }
+      res.on('close', () => clearTimeout(timer));
+      resolve(res);
+    });
+    const timer = setTimeout(() => req.destroy(new Error('timed out')), TIMEOUT_MS);
+    req.on('error', (e) => { clearTimeout(timer); reject(e); });
+    req.end(body);
+  });
+}
+
+// POSTs data as JSON; resolves to the status code, rejects on a non-2xx answer
+async function postJson(url, data) {
+  const body = JSON.stringify(data);
+  const res = await request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    body
+  });
+  res.resume();
+  if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`responded ${res.statusCode}`);
+  return res.statusCode;
+}
+
+module.exports = { validateUrl, request, postJson };
@@ -0,0 +1,120 @@
+// Publish-time aware article performance: how a story did in its first hours after publish (from feeds.js),
+// and how that compares with recent stories at the same age. series are GA4 hourly page views for one path,
+// [[hourStartMs, views]] in order (queries.hourlyViews). GA4 only reports whole hours, so windows are estimates:
+// the publish hour counts in full (nobody read the story before it existed), later hours pro rata.
+// Hours are the property's reporting hours, so every function takes its time zone.
+const taxonomy = require('./taxonomy');
+const ranges = require('./ranges');
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = [1, 6, 24];
+const PEER_DAYS = 7;          // stories published this far back are the peer group
+const MIN_SECTION_PEERS = 5;  // fewer same-section peers than this and the whole site is the peer group
+const CURVE_HOURS = 72;
+
+const TZ = ranges.DEFAULT_TIME_ZONE;
+
+// Start of the reporting hour holding t (zones such as Asia/Kolkata are off the UTC hour by 30 minutes)
+const hourStart = (t, timeZone) => ranges.hourStart(ranges.dateHourOf(t, timeZone), timeZone).getTime();
+const hourLabel = (t, timeZone) => {
+  const h = ranges.dateHourOf(t, timeZone);
+  return `${h.slice(0, 4)}-${h.slice(4, 6)}-${h.slice(6, 8)} ${h.slice(8, 10)}:00`;
+};
+const round1 = n => Math.round(n * 10) / 10;
+
+// Views in the first `hours` after publish
+function viewsWithin(series, publishedAt, hours, timeZone) {
+  const start = hourStart(publishedAt, timeZone), end = publishedAt + hours * HOUR;
+  let total = 0;
+  for (const [t, views] of series) {
+    if (t >= end) break;
+    if (t < start) continue; // views before the feed's publish time (previews, a re-dated story)
+    total += t === start ? views : views * Math.min(1, (end - t) / HOUR);
+  }
+  return Math.round(total);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b), mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : Math.round((s[mid - 1] + s[mid]) / 2);
+}
+
+// Feed section, or the taxonomy's category for the path when the feed has none
+function sectionOf(a, tax) {
+  if (a.section) return a.section;
+  if (tax.dimension) return null;
+  const slug = taxonomy.categoryOf(tax, a.path);
+  return slug ? taxonomy.displayNameOf(tax, slug) : null;
+}
+
+// One story: views at 1h/6h/24h (null until it is that old), peak hour and time to peak
+function summarize(a, series = [], { now = Date.now(), tax = taxonomy.DEFAULTS, timeZone = TZ } = {}) {
+  const published = new Date(a.publishedAt).getTime();
+  const start = hourStart(published, timeZone);
+  const age = (now - published) / HOUR;
+  const after = series.filter(([t]) => t >= start);
+  const peak = after.reduce((best, x) => (x[1] > best[1] ? x : best), [null, 0]);
+  const views = { total: after.reduce((sum, [, v]) => sum + v, 0) };
+  for (const h of WINDOWS) views[`h${h}`] = age >= h ? viewsWithin(series, published, h, timeZone) : null;
+  return {
+    path: a.path,
+    url: a.url,
+    title: a.title,
+    publishedAt: a.publishedAt,
+    author: a.author,
+    section: sectionOf(a, tax),
+    ageHours: round1(Math.max(0, age)),
+    views,
+    peakViews: peak[1],
+    peakAt: peak[0] === null ? null : hourLabel(peak[0], timeZone),
+    hoursToPeak: peak[0] === null ? null : Math.round((peak[0] - start) / HOUR)
+  };
+}
+
+// Median views of peers at `age` hours. Peers are other stories at least that old, from the same section when it
+// has enough of them. entries: [{ article, series, section }]
+function peerBaseline(entries, story, age, now = Date.now(), timeZone = TZ) {
+  const old = entries.filter(e => e.article.path !== story.path && (now - new Date(e.article.publishedAt).getTime()) / HOUR >= age);
+  const same = old.filter(e => story.section && e.section === story.section);
+  const peers = same.length >= MIN_SECTION_PEERS ? same : old;
+  return {
+    median: median(peers.map(e => viewsWithin(e.series, new Date(e.article.publishedAt).getTime(), age, timeZone))),
+    peers: peers.length,
+    group: peers === same ? story.section : 'all'
+  };
+}
+
+// Adds vsPeers: views so far against peers at the same age (capped at 24h), e.g. 2.1 = twice the usual
+function withPeers(entries, story, now = Date.now(), timeZone = TZ) {
+  const age = Math.min(story.ageHours, 24);
+  const entry = entries.find(e => e.article.path === story.path);
+  const sofar = entry ? viewsWithin(entry.series, new Date(story.publishedAt).getTime(), age, timeZone) : 0;
+  const base = peerBaseline(entries, story, age, now, timeZone);
+  return {
+    ...story,
+    comparedAtHours: age,
+    viewsAtAge: sofar,
+    peerMedian: base.median,
+    peerGroup: base.group,
+    peerCount: base.peers,
+    vsPeers: base.median ? Math.round((sofar / base.median) * 100) / 100 : null
+  };
+}
+
+// Views per hour since the publish hour, for the decay chart
+function curve(series, publishedAt, now = Date.now(), timeZone = TZ) {
+  const start = hourStart(new Date(publishedAt).getTime(), timeZone);
+  const hours = Math.min(CURVE_HOURS, Math.ceil((now - start) / HOUR));
+  const byHour = Object.fromEntries(series.map(([t, v]) => [t, v]));
+  const out = [];
+  let cumulative = 0;
+  for (let i = 0; i < hours; i++) {
+    const views = byHour[start + i * HOUR] || 0;
+    cumulative += views;
+    out.push({ hour: i, t: hourLabel(start + i * HOUR, timeZone), views, cumulative });
+  }
+  return out;
+}
+
+module.exports = { WINDOWS, PEER_DAYS, summarize, peerBaseline, withPeers, curve };
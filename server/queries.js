@@ -0,0 +1,886 @@
+// GA4 queries behind the /api routes, shared with anything else that needs the same numbers
+// (scheduled digests, etc). Each takes a client from ga() and a `properties/<id>` string.
+// List queries take a `limit` (what the dashboard shows); limit 0 returns every row, for exports.
+const { dateRanges, splitByRange, change } = require('./compare');
+const taxonomy = require('./taxonomy');
+const regions = require('./regions');
+const geo = require('./geo');
+const engagement = require('./engagement');
+const ranges = require('./ranges');
+
+const mmss = dur => `${Math.floor(dur / 60)}:${(dur % 60).toString().padStart(2, '0')}`;
+const hasTitle = t => t && t !== '(not set)' && t.trim() !== '';
+const ALL_ROWS = 100000; // GA4 caps a single report page at 250k rows
+const take = (rows, limit) => (limit ? rows.slice(0, limit) : rows);
+
+// runReport, except that a request for ALL_ROWS gets every row: further pages are fetched by offset until GA4's
+// rowCount is reached. Offsets step by the page size, so a comparison split in two by withinHours pages both halves.
+async function runReport(a, params) {
+  const res = await a.properties.runReport(params);
+  const { limit } = params.requestBody;
+  if (limit !== ALL_ROWS) return res;
+  const rows = [...(res.data.rows || [])];
+  const total = res.data.rowCount || rows.length;
+  for (let offset = limit; rows.length < total; offset += limit) {
+    const page = await a.properties.runReport({ ...params, requestBody: { ...params.requestBody, offset } });
+    if (!page.data.rows?.length) throw new Error(`GA4 stopped returning rows at ${rows.length} of ${total}`);
+    rows.push(...page.data.rows);
+  }
+  return { ...res, data: { ...res.data, rows } };
+}
+
+// ── Realtime summary (banner counter + sparkline) ──────────
+// Month-to-date and the per-minute averages since midnight go by the property's clock, like GA4's 'today'
+async function realtime(a, property, { timeZone } = {}) {
+  const now = new Date();
+  const startOfMonth = ranges.resolveRange({ range: 'month' }, timeZone, now).startDate;
+  const midnight = ranges.startOf(ranges.resolveRange({ range: 'today' }, timeZone, now));
+
+  const [rtTotal, rtMinutes, todayStats, monthStats] = await Promise.all([
+    a.properties.runRealtimeReport({
+      property,
+      requestBody: { metrics: [{ name: 'activeUsers' }] }
+    }),
+    a.properties.runRealtimeReport({
+      property,
+      requestBody: {
+        metrics: [{ name: 'activeUsers' }],
+        dimensions: [{ name: 'minutesAgo' }]
+      }
+    }),
+    runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate: 'today', endDate: 'today' }],
+        metrics: [{ name: 'sessions' }, { name: 'screenPageViews' }]
+      }
+    }),
+    runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate: startOfMonth, endDate: 'today' }],
+        metrics: [{ name: 'bounceRate' }, { name: 'averageSessionDuration' }]
+      }
+    })
+  ]);
+
+  const active = parseInt(rtTotal.data.rows?.[0]?.metricValues?.[0]?.value || 0);
+  const sparkline = Array(30).fill(0);
+  (rtMinutes.data.rows || []).forEach(row => {
+    const minAgo = parseInt(row.dimensionValues[0].value);
+    if (minAgo >= 0 && minAgo < 30) sparkline[29 - minAgo] = parseInt(row.metricValues[0].value || 0);
+  });
+  const lastMinRow = (rtMinutes.data.rows || []).find(r => r.dimensionValues[0].value === '0');
+  const pvPerMin = parseInt(lastMinRow?.metricValues?.[0]?.value || 0);
+  const today = todayStats.data.rows?.[0]?.metricValues || [];
+  const month = monthStats.data.rows?.[0]?.metricValues || [];
+  const totalPv = parseInt(today[1]?.value || 0);
+  const mins = Math.max(Math.floor((now - midnight) / 60000), 1);
+  const dur = parseInt(month[1]?.value || 0);
+
+  return {
+    activeUsers: active,
+    bounceRate: parseFloat(month[0]?.value || 0).toFixed(1) + '%',
+    avgDuration: mmss(dur),
+    pageviewsPerMin: pvPerMin || Math.round(totalPv / mins),
+    newPerMin: Math.round(parseInt(today[0]?.value || 0) / mins),
+    sparkline
+  };
+}
+
+// ── Top 10 news, last 30 minutes ───────────────────────────
+async function realtimeTopNews(a, property, { limit = 10 } = {}) {
+  const r = await a.properties.runRealtimeReport({
+    property,
+    requestBody: {
+      metrics: [{ name: 'screenPageViews' }, { name: 'activeUsers' }],
+      dimensions: [{ name: 'unifiedScreenName' }],
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: limit ? 50 : ALL_ROWS
+    }
+  });
+  // Realtime reports can't be paged, so an export GA4 cut short fails rather than passing for the whole list
+  if (!limit && (r.data.rows || []).length < (r.data.rowCount || 0)) {
+    throw new Error(`GA4 returned ${r.data.rows.length} of ${r.data.rowCount} realtime rows`);
+  }
+  const rows = (r.data.rows || []).filter(row => {
+    const t = row.dimensionValues[0].value;
+    return t && t !== '(other)' && t !== '(not set)' && t.trim() !== '';
+  });
+  return take(rows, limit)
+    .map((row, i) => ({
+      rank: i + 1, title: row.dimensionValues[0].value,
+      pageViews: parseInt(row.metricValues[0].value),
+      activeUsers: parseInt(row.metricValues[1].value)
+    }));
+}
+
+// ── Top 10 news over a date range ──────────────────────────
+// One row per path: a rewritten headline is a second pageTitle for the same page, so views are summed per path
+// under its most-viewed title, and `titles` lists every title in the range when there was more than one.
+async function topNews(a, property, { startDate, endDate, compare, limit = 10 }) {
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'screenPageViews' }],
+      dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      // Both windows share the row limit, and a story's rows are merged, so fetch deeper than the top 10
+      limit: !limit ? ALL_ROWS : compare ? 500 : Math.max(100, limit * 3)
+    }
+  });
+  const { current, previous } = splitByRange(r.data.rows || [], compare);
+  const byPath = (rows) => {
+    const out = {};
+    for (const row of rows) {
+      const [title, path] = row.dimensionValues.map(d => d.value);
+      if (!hasTitle(title)) continue;
+      const page = out[path] || (out[path] = { path, pageViews: 0, titles: [] });
+      const views = parseInt(row.metricValues[0].value);
+      page.pageViews += views;
+      page.titles.push({ title, pageViews: views });
+    }
+    return out;
+  };
+  const prev = byPath(previous);
+  return take(Object.values(byPath(current)).sort((x, y) => y.pageViews - x.pageViews), limit)
+    .map((page, i) => {
+      const item = {
+        rank: i + 1, title: page.titles[0].title,
+        path: page.path,
+        pageViews: page.pageViews,
+        activeUsers: null
+      };
+      if (page.titles.length > 1) item.titles = page.titles;
+      if (compare) item.change = change(page.pageViews, prev[page.path]?.pageViews);
+      return item;
+    });
+}
+
+// ── Top categories (per the property's taxonomy) ───────────
+async function categories(a, property, { startDate, endDate, compare, taxonomy: tax = taxonomy.DEFAULTS, limit = tax.limit }) {
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'screenPageViews' }],
+      dimensions: [{ name: tax.dimension || 'pagePath' }],
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: !limit ? ALL_ROWS : compare ? 10000 : 5000
+    }
+  });
+
+  // Map each path (or dimension value) to its category, sum views per category
+  const sumByCategory = (rows) => {
+    const catMap = {};
+    for (const row of rows) {
+      const slug = taxonomy.categoryOf(tax, row.dimensionValues[0].value);
+      if (!slug) continue;
+      catMap[slug] = (catMap[slug] || 0) + parseInt(row.metricValues[0].value || 0);
+    }
+    return catMap;
+  };
+  const { current, previous } = splitByRange(r.data.rows || [], compare);
+  const catMap = sumByCategory(current);
+  const prevMap = sumByCategory(previous);
+
+  return take(Object.entries(catMap).sort((a, b) => b[1] - a[1]), limit)
+    .map(([slug, views]) => {
+      const cat = { slug, displayName: taxonomy.displayNameOf(tax, slug), views };
+      if (compare) cat.change = change(views, prevMap[slug]);
+      return cat;
+    });
+}
+
+// ── Top 5 articles in one category ─────────────────────────
+async function categoryNews(a, property, slug, { startDate, endDate, compare, taxonomy: tax = taxonomy.DEFAULTS, limit = 5 }) {
+  slug = tax.aliases[slug] || slug;
+  const dimensions = [{ name: 'pageTitle' }, { name: 'pagePath' }];
+  if (tax.dimension) dimensions.push({ name: tax.dimension });
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'screenPageViews' }],
+      dimensions,
+      dimensionFilter: taxonomy.categoryFilter(tax, slug),
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      // The filter is coarse (a slug can appear deeper in other paths), so fetch extra and re-check below
+      limit: !limit ? ALL_ROWS : compare ? 500 : 100
+    }
+  });
+  const inCategory = row => taxonomy.categoryOf(tax, row.dimensionValues[tax.dimension ? 2 : 1].value) === slug;
+  const { current, previous } = splitByRange((r.data.rows || []).filter(inCategory), compare);
+  // One row per path under its most-viewed title, as in topNews
+  const byPath = (rows) => {
+    const out = {};
+    for (const row of rows) {
+      const [title, path] = row.dimensionValues.map(d => d.value);
+      if (!hasTitle(title)) continue;
+      const page = out[path] || (out[path] = { title, path, views: 0 });
+      page.views += parseInt(row.metricValues[0].value);
+    }
+    return out;
+  };
+  const prev = byPath(previous);
+  return take(Object.values(byPath(current)).sort((x, y) => y.views - x.views), limit)
+    .map((page, i) => {
+      const item = { rank: i + 1, ...page };
+      if (compare) item.change = change(page.views, prev[page.path]?.views);
+      return item;
+    });
+}
+
+// ── Top stories in one regional edition ────────────────────
+// Rows are per (title, path[, reader region]); a story read across several matching regions is summed
+async function regionNews(a, property, region, { startDate, endDate, compare, limit = 5 }) {
+  const byRegion = region.gaRegions.length > 0;
+  const dimensions = [{ name: 'pageTitle' }, { name: 'pagePath' }];
+  if (byRegion) dimensions.push({ name: 'region' });
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'screenPageViews' }, { name: 'activeUsers' }],
+      dimensions,
+      dimensionFilter: regions.regionFilter(region),
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: !limit ? ALL_ROWS : byRegion || compare ? 1000 : 100
+    }
+  });
+  const matches = row => regions.inRegion(region, row.dimensionValues[1].value, byRegion ? row.dimensionValues[2].value : null);
+  const sum = (rows) => {
+    const stories = new Map();
+    for (const row of rows) {
+      if (!hasTitle(row.dimensionValues[0].value)) continue;
+      const key = `${row.dimensionValues[0].value}\n${row.dimensionValues[1].value}`;
+      const s = stories.get(key) || { title: row.dimensionValues[0].value, path: row.dimensionValues[1].value, views: 0, users: 0 };
+      s.views += parseInt(row.metricValues[0].value || 0);
+      s.users += parseInt(row.metricValues[1].value || 0);
+      stories.set(key, s);
+    }
+    return stories;
+  };
+  const { current, previous } = splitByRange((r.data.rows || []).filter(matches), compare);
+  const prev = sum(previous);
+  const stories = [...sum(current).values()].sort((x, y) => y.views - x.views);
+  const views = stories.reduce((t, s) => t + s.views, 0);
+  const result = {
+    slug: region.slug,
+    name: region.name,
+    views,
+    news: take(stories, limit).map((s, i) => {
+      const item = { rank: i + 1, ...s };
+      if (compare) item.change = change(s.views, prev.get(`${s.title}\n${s.path}`)?.views);
+      return item;
+    })
+  };
+  if (compare) result.change = change(views, [...prev.values()].reduce((t, s) => t + s.views, 0));
+  return result;
+}
+
+// ── Authors (custom dimension, with fallbacks) ─────────────
+// Sites send the author as an event parameter (ideally on page_view) or as a user property.
+// The first source that returns rows wins; `tried` records every attempt, so an empty board can be
+// told apart: every attempt erroring = no author dimension registered, all empty = no author data in range.
+const AUTHOR_SOURCES = [
+  { dimension: 'customEvent:author', metric: 'screenPageViews' },
+  { dimension: 'customEvent:author', metric: 'eventCount' },   // author only set on a custom event
+  { dimension: 'customUser:author',  metric: 'screenPageViews' }
+];
+const hasName = n => n && n !== '(not set)' && n !== '(not provided)' && n !== '(other)' && n.trim() !== '';
+
+async function withAuthorSource(run) {
+  const tried = [];
+  for (const source of AUTHOR_SOURCES) {
+    try {
+      const rows = await run(source);
+      tried.push({ ...source, rows: rows.length });
+      if (rows.length) return { source, rows, tried };
+    } catch (e) {
+      tried.push({ ...source, error: e.message });
+    }
+  }
+  return { source: null, rows: [], tried };
+}
+
+// Views, engagement and users for one author (or the whole board) — engagement time is per user
+const authorTotals = (mv) => {
+  const users = parseInt(mv[2]?.value || 0);
+  return {
+    views: parseInt(mv[0]?.value || 0),
+    users,
+    avgEngagementTime: mmss(users ? Math.round(parseFloat(mv[1]?.value || 0) / users) : 0)
+  };
+};
+
+async function topAuthors(a, property, { startDate, endDate, limit = 6 }) {
+  const { source, rows, tried } = await withAuthorSource(async ({ dimension, metric }) => {
+    const r = await runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: metric }, { name: 'userEngagementDuration' }, { name: 'totalUsers' }],
+        dimensions: [{ name: dimension }],
+        orderBys: [{ metric: { metricName: metric }, desc: true }],
+        limit: limit ? limit + 10 : ALL_ROWS
+      }
+    });
+    return (r.data.rows || []).filter(row => hasName(row.dimensionValues[0].value));
+  });
+  const top = take(rows, limit);
+
+  // Article count = distinct pages per author
+  const articles = {};
+  if (top.length) {
+    const r = await runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: source.metric }],
+        dimensions: [{ name: source.dimension }, { name: 'pagePath' }],
+        dimensionFilter: {
+          filter: { fieldName: source.dimension, inListFilter: { values: top.map(row => row.dimensionValues[0].value) } }
+        },
+        limit: ALL_ROWS
+      }
+    });
+    for (const row of r.data.rows || []) {
+      const name = row.dimensionValues[0].value;
+      articles[name] = (articles[name] || 0) + 1;
+    }
+  }
+
+  return {
+    source,
+    tried,
+    authors: top.map((row, i) => {
+      const name = row.dimensionValues[0].value;
+      const t = authorTotals(row.metricValues);
+      const count = articles[name] || 0;
+      return { rank: i + 1, name, ...t, articles: count, viewsPerArticle: count ? Math.round(t.views / count) : null };
+    })
+  };
+}
+
+// ── Author profile: totals and top stories ─────────────────
+async function authorProfile(a, property, name, { startDate, endDate, limit = 20 }) {
+  const report = (source, requestBody) => runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      metrics: [{ name: source.metric }, { name: 'userEngagementDuration' }, { name: 'totalUsers' }],
+      dimensionFilter: { filter: { fieldName: source.dimension, stringFilter: { matchType: 'EXACT', value: name } } },
+      ...requestBody
+    }
+  }).then(r => r.data.rows || []);
+
+  const { source, rows, tried } = await withAuthorSource(async (src) => {
+    const found = await report(src, {
+      dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
+      orderBys: [{ metric: { metricName: src.metric }, desc: true }],
+      limit: ALL_ROWS
+    });
+    return found.filter(row => hasTitle(row.dimensionValues[0].value));
+  });
+
+  // One story per path — a headline changed after publish shows up as a second title row
+  const byPath = {};
+  for (const row of rows) {
+    const path = row.dimensionValues[1].value;
+    const views = parseInt(row.metricValues[0].value || 0);
+    if (!byPath[path]) byPath[path] = { title: row.dimensionValues[0].value, path, views: 0 };
+    byPath[path].views += views;
+  }
+  const stories = Object.values(byPath).sort((x, y) => y.views - x.views);
+  const totals = source ? authorTotals((await report(source, {}))[0]?.metricValues || []) : authorTotals([]);
+
+  return {
+    name,
+    source,
+    tried,
+    totals: {
+      ...totals,
+      articles: stories.length,
+      viewsPerArticle: stories.length ? Math.round(totals.views / stories.length) : null
+    },
+    stories: take(stories, limit).map((s, i) => ({ rank: i + 1, ...s }))
+  };
+}
+
+// ── Banner stats (bounce rate, unique visitors, avg engagement) ──
+async function bannerStats(a, property, { startDate, endDate, compare }) {
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [
+        { name: 'bounceRate' },
+        { name: 'totalUsers' },
+        { name: 'averageSessionDuration' }
+      ]
+    }
+  });
+  const { current, previous } = splitByRange(r.data.rows || [], compare);
+  const mv = current[0]?.metricValues || [];
+  const dur = parseInt(mv[2]?.value || 0);
+  const d = {
+    bounceRate: parseFloat(mv[0]?.value || 0).toFixed(1) + '%',
+    uniqueVisitors: parseInt(mv[1]?.value || 0),
+    avgEngagementTime: mmss(dur)
+  };
+  if (compare) {
+    // Raw numbers so the UI can compute arrows; bounce rate in %, engagement time in seconds
+    const pv = previous[0]?.metricValues || [];
+    d.change = {
+      bounceRate: change(parseFloat(mv[0]?.value || 0), parseFloat(pv[0]?.value || 0)),
+      uniqueVisitors: change(parseInt(mv[1]?.value || 0), parseInt(pv[1]?.value || 0)),
+      avgEngagementTime: change(dur, parseInt(pv[2]?.value || 0))
+    };
+  }
+  return d;
+}
+
+// ── Geo traffic (city, region or country) ──────────────────
+// level=city keeps each city's region for the state drill-down; region / country narrow the rows to one place.
+// Rows carry lat / lng from the bundled gazetteer (geo.js).
+const GEO_DIMENSIONS = { city: ['city', 'region', 'country'], region: ['region', 'country'], country: ['country'] };
+
+async function geoTraffic(a, property, { startDate, endDate, compare, limit = 250, level = 'city', region, country }) {
+  const dims = GEO_DIMENSIONS[level];
+  const where = [];
+  if (region) where.push({ filter: { fieldName: 'region', stringFilter: { matchType: 'EXACT', value: region } } });
+  if (country) where.push({ filter: { fieldName: 'country', stringFilter: { matchType: 'EXACT', value: country } } });
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'totalUsers' }],
+      dimensions: dims.map(name => ({ name })),
+      ...(where.length ? { dimensionFilter: where.length > 1 ? { andGroup: { expressions: where } } : where[0] } : {}),
+      orderBys: [{ metric: { metricName: 'totalUsers' }, desc: true }],
+      limit: !limit ? ALL_ROWS : compare ? 1000 : limit
+    }
+  });
+  const { current, previous } = splitByRange(r.data.rows || [], compare);
+  const place = row => Object.fromEntries(dims.map((d, i) => [d, row.dimensionValues[i].value]));
+  const keyOf = p => dims.map(d => p[d]).join('\n');
+  const prevVisitors = {};
+  for (const row of previous) prevVisitors[keyOf(place(row))] = parseInt(row.metricValues[0].value);
+  const rows = current
+    .map(row => ({ ...place(row), visitors: parseInt(row.metricValues[0].value) }))
+    .filter(p => p[level] && p[level] !== '(not set)')
+    // GA4 has filtered already; checked again so recorded fixtures answer a drill-down too
+    .filter(p => (!region || p.region === region) && (!country || p.country === country));
+  return geo.geocode(take(rows, limit)).map(item => (compare ? { ...item, change: change(item.visitors, prevVisitors[keyOf(item)]) } : item));
+}
+
+// ── Article search by title ────────────────────────────────
+async function articleSearch(a, property, q, { startDate, endDate, limit = 20 }) {
+  const r = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      metrics: [
+        { name: 'screenPageViews' },
+        { name: 'totalUsers' },
+        { name: 'averageSessionDuration' },
+        { name: 'bounceRate' }
+      ],
+      dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
+      dimensionFilter: {
+        filter: {
+          fieldName: 'pageTitle',
+          stringFilter: { matchType: 'CONTAINS', value: q, caseSensitive: false }
+        }
+      },
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: limit || ALL_ROWS
+    }
+  });
+  return (r.data.rows || [])
+    .filter(row => hasTitle(row.dimensionValues[0].value))
+    .map(row => {
+      const dur = parseInt(row.metricValues[2]?.value || 0);
+      return {
+        title: row.dimensionValues[0].value,
+        path: row.dimensionValues[1].value,
+        pageViews: parseInt(row.metricValues[0].value),
+        uniqueVisitors: parseInt(row.metricValues[1].value),
+        avgTime: mmss(dur),
+        bounceRate: parseFloat(row.metricValues[3]?.value || 0).toFixed(1) + '%'
+      };
+    });
+}
+
+// ── Article engagement (most read, not most clicked) ──────
+// The top pages by views, scored on how they were read. Time and read depth are per view (read depth from the
+// configured events); the engaged share is per session: engaged sessions (10s+, a conversion or 2+ pages) that
+// included the page, out of all sessions that did. GA4 has no engaged-views metric to put over views.
+// Returned in attention order (total engaged time); engagement.rankArticles re-sorts for the other views.
+// The top ENGAGEMENT_POOL pages are scored; limit 0 (exports) scores every page.
+const ENGAGEMENT_POOL = 500;
+
+async function articleEngagement(a, property, { startDate, endDate, engagement: cfg = engagement.DEFAULTS, limit = ENGAGEMENT_POOL }) {
+  const depths = engagement.depthsOf(cfg);
+  const [pages, events] = await Promise.all([
+    runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [
+          { name: 'screenPageViews' },
+          { name: 'userEngagementDuration' },
+          { name: 'engagedSessions' },
+          { name: 'sessions' }
+        ],
+        dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }],
+        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+        limit: limit ? ENGAGEMENT_POOL : ALL_ROWS
+      }
+    }).then(r => r.data.rows || []),
+    depths.length ? runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: 'eventCount' }],
+        dimensions: [{ name: 'pagePath' }, { name: 'eventName' }],
+        dimensionFilter: { filter: { fieldName: 'eventName', inListFilter: { values: depths.map(([, name]) => name) } } },
+        limit: ALL_ROWS
+      }
+    }).then(r => r.data.rows || []) : []
+  ]);
+
+  // A retitled story shows up once per title; keep the path and its most-viewed title
+  const byPath = {};
+  for (const row of pages) {
+    const [title, path] = row.dimensionValues.map(d => d.value);
+    if (!hasTitle(title)) continue;
+    const [views, seconds, engaged, sessions] = row.metricValues.map(m => parseFloat(m.value || 0));
+    const art = byPath[path] || (byPath[path] = { title, path, views: 0, seconds: 0, engaged: 0, sessions: 0, reads: {} });
+    art.views += views;
+    art.seconds += seconds;
+    art.engaged += engaged;
+    art.sessions += sessions;
+  }
+  let counted = false;
+  for (const row of events) {
+    const [path, name] = row.dimensionValues.map(d => d.value);
+    if (!byPath[path]) continue;
+    byPath[path].reads[name] = (byPath[path].reads[name] || 0) + parseInt(row.metricValues[0].value || 0);
+    counted = true;
+  }
+
+  const deepest = depths[depths.length - 1];
+  const articles = Object.values(byPath)
+    .filter(art => art.views && art.views >= cfg.minViews)
+    .sort((x, y) => y.views - x.views)
+    .map((art, i) => {
+      const avgSeconds = Math.round(art.seconds / art.views);
+      const completion = counted && deepest ? Math.min(1, (art.reads[deepest[1]] || 0) / art.views) : null;
+      const engagedRate = art.sessions ? Math.min(1, art.engaged / art.sessions) : 0;
+      return {
+        title: art.title,
+        path: art.path,
+        pageViews: art.views,
+        viewsRank: i + 1,
+        engagedSessions: art.engaged,
+        sessions: art.sessions,
+        engagedRate: engagement.pct(art.engaged, art.sessions),
+        avgEngagedTime: mmss(avgSeconds),
+        avgSeconds,
+        engagedSeconds: Math.round(art.seconds),
+        readCompletion: completion === null ? null : engagement.pct(art.reads[deepest[1]] || 0, art.views),
+        depth: counted ? depths.map(([depth, name]) => ({ depth, reads: art.reads[name] || 0, share: engagement.pct(art.reads[name] || 0, art.views) })) : [],
+        quality: engagement.qualityOf({ avgSeconds, completion, engagedRate }, cfg)
+      };
+    });
+  return take(articles.sort((x, y) => y.engagedSeconds - x.engagedSeconds), limit);
+}
+
+// ── Traffic channel from session source / medium ───────────
+// GA4's default channel group folds Discover and Google News into organic search; newsrooms want them apart
+const SOCIAL_SOURCES = /facebook|^fb$|instagram|^t\.co$|twitter|^x\.com|linkedin|whatsapp|telegram|reddit|youtube|pinterest|sharechat|koo/;
+const PUSH_SOURCES = /push|onesignal|izooto|webpushr|pushengage|notification/;
+
+function channelOf(source, medium) {
+  const s = (source || '').toLowerCase(), m = (medium || '').toLowerCase();
+  if (s.includes('discover') || s === 'com.google.android.googlequicksearchbox') return 'Google Discover';
+  if (s.includes('news.google') || s === 'googlenews') return 'Google News';
+  if (PUSH_SOURCES.test(m) || PUSH_SOURCES.test(s)) return 'Push';
+  if (m === 'organic') return 'Search';
+  if (SOCIAL_SOURCES.test(s) || m.includes('social')) return 'Social';
+  if (m === 'email' || m === 'newsletter') return 'Email';
+  if (/cpc|ppc|paid/.test(m)) return 'Paid';
+  if (s === '(direct)') return 'Direct';
+  if (m === 'referral') return 'Referral';
+  return 'Other';
+}
+
+// Which social network a Social session came from
+const PLATFORMS = [
+  ['Facebook', /facebook|^fb$/], ['WhatsApp', /whatsapp/], ['Instagram', /instagram/], ['X', /^t\.co$|twitter|^x\.com/],
+  ['Telegram', /telegram/], ['LinkedIn', /linkedin|^lnkd\.in$/], ['Reddit', /reddit/], ['YouTube', /youtube/],
+  ['Pinterest', /pinterest/], ['ShareChat', /sharechat/], ['Koo', /koo/]
+];
+const platformOf = source => (PLATFORMS.find(([, re]) => re.test((source || '').toLowerCase())) || ['Other social'])[0];
+
+// ── Traffic sources (channels, news buckets, per-article mix) ──
+// Sessions add up across rows; users don't quite (one reader can arrive through several sources), so
+// bucket users are an upper bound and totals come from their own query.
+async function trafficSources(a, property, { startDate, endDate, compare, limit = 25, articles = 10 }) {
+  const report = (dims, requestBody = {}) => runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: dateRanges(startDate, endDate, compare),
+      metrics: [{ name: 'sessions' }, { name: 'totalUsers' }],
+      dimensions: dims.map(name => ({ name })),
+      ...requestBody
+    }
+  }).then(r => splitByRange(r.data.rows || [], compare));
+  const [totals, groups, sources, mix] = await Promise.all([
+    report([]),
+    report(['sessionDefaultChannelGroup']),
+    report(['sessionSource', 'sessionMedium'], {
+      orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+      limit: ALL_ROWS
+    }),
+    // Article mix: no comparison, views rather than sessions (a session can read several stories)
+    runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: 'screenPageViews' }],
+        dimensions: [{ name: 'pageTitle' }, { name: 'pagePath' }, { name: 'sessionSource' }, { name: 'sessionMedium' }],
+        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+        limit: 5000
+      }
+    }).then(r => r.data.rows || [])
+  ]);
+
+  const counts = row => ({ sessions: parseInt(row.metricValues?.[0]?.value || 0), users: parseInt(row.metricValues?.[1]?.value || 0) });
+  // Sum rows into buckets by key(...dimension values), skipping null keys; previous-period sessions alongside
+  const tally = (split, key) => {
+    const out = {};
+    for (const [rows, prev] of [[split.current, false], [split.previous, true]]) {
+      for (const row of rows) {
+        const k = key(...row.dimensionValues.map(d => d.value));
+        if (k === null) continue;
+        const b = out[k] || (out[k] = { key: k, sessions: 0, users: 0, previous: 0 });
+        const c = counts(row);
+        if (prev) b.previous += c.sessions;
+        else { b.sessions += c.sessions; b.users += c.users; }
+      }
+    }
+    return Object.values(out).filter(b => b.sessions).sort((x, y) => y.sessions - x.sessions);
+  };
+  const total = counts(totals.current[0] || {});
+  const shape = (fields, b) => {
+    const item = { ...fields, sessions: b.sessions, users: b.users, share: total.sessions ? Math.round((b.sessions / total.sessions) * 1000) / 10 : 0 };
+    if (compare) item.change = change(b.sessions, b.previous);
+    return item;
+  };
+
+  const byArticle = {};
+  for (const row of mix) {
+    const [title, path, source, medium] = row.dimensionValues.map(d => d.value);
+    if (!hasTitle(title)) continue;
+    const art = byArticle[path] || (byArticle[path] = { title, path, pageViews: 0, channels: {} });
+    const views = parseInt(row.metricValues[0].value || 0);
+    // Social is split by platform here: a WhatsApp-driven spike reads differently from a Facebook one
+    const ch = channelOf(source, medium);
+    const k = ch === 'Social' ? `${ch}\n${platformOf(source)}` : ch;
+    art.pageViews += views;
+    art.channels[k] = (art.channels[k] || 0) + views;
+  }
+
+  return {
+    totals: compare ? { ...total, change: change(total.sessions, counts(totals.previous[0] || {}).sessions) } : total,
+    channels: tally(sources, channelOf).map(b => shape({ channel: b.key }, b)),
+    channelGroups: tally(groups, g => g).map(b => shape({ group: b.key }, b)),
+    social: tally(sources, (src, med) => (channelOf(src, med) === 'Social' ? platformOf(src) : null)).map(b => shape({ platform: b.key }, b)),
+    sources: take(tally(sources, (src, med) => `${src}\n${med}`), limit).map(b => {
+      const [source, medium] = b.key.split('\n');
+      return shape({ source, medium, channel: channelOf(source, medium) }, b);
+    }),
+    articles: take(Object.values(byArticle).sort((x, y) => y.pageViews - x.pageViews), articles).map(art => ({
+      title: art.title,
+      path: art.path,
+      pageViews: art.pageViews,
+      mix: Object.entries(art.channels)
+        .sort((x, y) => y[1] - x[1])
+        .map(([k, views]) => {
+          const [channel, platform] = k.split('\n');
+          const item = { channel, pageViews: views, share: Math.round((views / art.pageViews) * 1000) / 10 };
+          return platform ? { ...item, platform } : item;
+        })
+    }))
+  };
+}
+
+// ── Hourly views per page (publish-time performance) ───────
+// { path: [[hourStartMs, views], ...] } for the given paths from startDate, hours in order.
+// Feeds and GA4 disagree about trailing slashes, so both forms are asked for and merged.
+// Paths go HOURLY_BATCH to a request (a week of feeds is thousands), one after another, each paged to its last row.
+const HOURLY_BATCH = 100;
+
+async function hourlyViews(a, property, paths, { startDate, endDate = 'today', timeZone }) {
+  if (!paths.length) return {};
+  const values = [...new Set(paths.flatMap(p => (p === '/' ? [p] : [p, `${p}/`])))];
+  const rows = [];
+  for (let i = 0; i < values.length; i += HOURLY_BATCH * 2) {
+    const res = await runReport(a, {
+      property,
+      requestBody: {
+        dateRanges: [{ startDate, endDate }],
+        metrics: [{ name: 'screenPageViews' }],
+        dimensions: [{ name: 'pagePath' }, { name: 'dateHour' }],
+        dimensionFilter: { filter: { fieldName: 'pagePath', inListFilter: { values: values.slice(i, i + HOURLY_BATCH * 2) } } },
+        limit: ALL_ROWS
+      }
+    });
+    rows.push(...(res.data.rows || []));
+  }
+  const byPath = {};
+  for (const row of rows) {
+    const [p, h] = row.dimensionValues.map(d => d.value);
+    const key = p.length > 1 ? p.replace(/\/+$/, '') : p;
+    const t = ranges.hourStart(h, timeZone).getTime(); // dateHour is on the property's clock
+    const hours = byPath[key] || (byPath[key] = {});
+    hours[t] = (hours[t] || 0) + parseInt(row.metricValues[0].value || 0);
+  }
+  return Object.fromEntries(Object.entries(byPath).map(([p, hours]) =>
+    [p, Object.entries(hours).map(([t, v]) => [+t, v]).sort((x, y) => x[0] - y[0])]));
+}
+
+// ── Headline versions of one page ──────────────────────────
+// Views per pageTitle per hour for a path (with or without its trailing slash):
+// [{ title, pageViews, hours: [[dateHour, views], ...] }], most-viewed title first, hours in order
+async function headlineHours(a, property, path, { startDate, endDate }) {
+  const values = path === '/' ? [path] : [path, `${path}/`];
+  const res = await runReport(a, {
+    property,
+    requestBody: {
+      dateRanges: [{ startDate, endDate }],
+      metrics: [{ name: 'screenPageViews' }],
+      dimensions: [{ name: 'pageTitle' }, { name: 'dateHour' }],
+      dimensionFilter: { filter: { fieldName: 'pagePath', inListFilter: { values } } },
+      limit: ALL_ROWS
+    }
+  });
+  const byTitle = {};
+  for (const row of res.data.rows || []) {
+    const [title, h] = row.dimensionValues.map(d => d.value);
+    if (!hasTitle(title)) continue;
+    const v = byTitle[title] || (byTitle[title] = { title, pageViews: 0, hours: {} });
+    const views = parseInt(row.metricValues[0].value || 0);
+    v.pageViews += views;
+    v.hours[h] = (v.hours[h] || 0) + views;
+  }
+  return Object.values(byTitle)
+    .sort((x, y) => y.pageViews - x.pageViews)
+    .map(v => ({ ...v, hours: Object.entries(v.hours).sort((x, y) => x[0].localeCompare(y[0])) }));
+}
+
+// ── Article drill-down (one page) ──────────────────────────
+// By path, or by title for realtime rows, which only carry the screen name.
+// GA4 omits hours/days without traffic, so the series starts at the first pageview (≈ publish) and gaps are zero-filled.
+const ymdh = v => `${v.slice(0, 4)}-${v.slice(4, 6)}-${v.slice(6, 8)}${v.length > 8 ? ` ${v.slice(8, 10)}:00` : ''}`;
+
+function fillSeries(rows, hourly) {
+  if (!rows.length) return [];
+  const byKey = Object.fromEntries(rows.map(r => [r.dimensionValues[0].value, r.metricValues]));
+  const keys = Object.keys(byKey).sort();
+  // Keys are wall-clock values in the property's zone; stepping them as UTC never meets the server's DST changes
+  const parse = k => new Date(Date.UTC(+k.slice(0, 4), +k.slice(4, 6) - 1, +k.slice(6, 8), hourly ? +k.slice(8, 10) : 0));
+  const key = d => `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`
+    + (hourly ? String(d.getUTCHours()).padStart(2, '0') : '');
+  const step = d => (hourly ? d.setUTCHours(d.getUTCHours() + 1) : d.setUTCDate(d.getUTCDate() + 1));
+  const end = parse(keys[keys.length - 1]);
+  const out = [];
+  for (const d = parse(keys[0]); d <= end; step(d)) {
+    const mv = byKey[key(d)];
+    out.push({ t: ymdh(key(d)), pageViews: parseInt(mv?.[0]?.value || 0), users: parseInt(mv?.[1]?.value || 0) });
+  }
+  return out;
+}
+
+async function article(a, property, { path, title, startDate, endDate, hourly }) {
+  const dimensionFilter = {
+    filter: path
+      ? { fieldName: 'pagePath', stringFilter: { matchType: 'EXACT', value: path } }
+      : { fieldName: 'pageTitle', stringFilter: { matchType: 'EXACT', value: title } }
+  };
+  const report = (requestBody) => runReport(a, {
+    property,
+    requestBody: { dateRanges: [{ startDate, endDate }], dimensionFilter, ...requestBody }
+  }).then(r => r.data.rows || []);
+  const breakdown = (dims, limit = 10) => report({
+    metrics: [{ name: 'screenPageViews' }, { name: 'totalUsers' }],
+    dimensions: dims.map(name => ({ name })),
+    orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+    limit
+  });
+  const seriesDim = hourly ? 'dateHour' : 'date';
+
+  const [totals, pages, series, sources, devices, cities, referrers] = await Promise.all([
+    report({ metrics: [{ name: 'screenPageViews' }, { name: 'totalUsers' }, { name: 'userEngagementDuration' }, { name: 'bounceRate' }] }),
+    breakdown(['pageTitle', 'pagePath']),
+    report({
+      metrics: [{ name: 'screenPageViews' }, { name: 'totalUsers' }],
+      dimensions: [{ name: seriesDim }],
+      orderBys: [{ dimension: { dimensionName: seriesDim } }],
+      limit: 5000
+    }),
+    breakdown(['sessionSource', 'sessionMedium'], 50), // all of them feed the channel totals
+    breakdown(['deviceCategory']),
+    breakdown(['city', 'country']),
+    breakdown(['pageReferrer'])
+  ]);
+
+  const counts = row => ({ pageViews: parseInt(row.metricValues[0].value || 0), users: parseInt(row.metricValues[1].value || 0) });
+  const tv = totals[0]?.metricValues || [];
+  const users = parseInt(tv[1]?.value || 0);
+
+  const sourceRows = sources.map(row => ({
+    source: row.dimensionValues[0].value,
+    medium: row.dimensionValues[1].value,
+    channel: channelOf(row.dimensionValues[0].value, row.dimensionValues[1].value),
+    ...counts(row)
+  }));
+  const channels = {};
+  for (const r of sourceRows) {
+    const c = channels[r.channel] || (channels[r.channel] = { channel: r.channel, pageViews: 0, users: 0 });
+    c.pageViews += r.pageViews; c.users += r.users;
+  }
+
+  return {
+    path: path || pages[0]?.dimensionValues[1].value || null,
+    title: pages[0]?.dimensionValues[0].value || title || null,
+    // More than one when the headline was changed after publish
+    pages: pages.map(row => ({ title: row.dimensionValues[0].value, path: row.dimensionValues[1].value, ...counts(row) })),
+    totals: {
+      pageViews: parseInt(tv[0]?.value || 0),
+      users,
+      avgEngagementTime: mmss(users ? Math.round(parseFloat(tv[2]?.value || 0) / users) : 0),
+      bounceRate: parseFloat(tv[3]?.value || 0).toFixed(1) + '%'
+    },
+    granularity: hourly ? 'hour' : 'day',
+    series: fillSeries(series, hourly),
+    channels: Object.values(channels).sort((a, b) => b.pageViews - a.pageViews),
+    sources: sourceRows.slice(0, 10),
+    devices: devices.map(row => ({ device: row.dimensionValues[0].value, ...counts(row) })),
+    cities: cities
+      .filter(row => row.dimensionValues[0].value !== '(not set)')
+      .map(row => ({ city: row.dimensionValues[0].value, country: row.dimensionValues[1].value, ...counts(row) })),
+    referrers: referrers
+      .filter(row => row.dimensionValues[0].value)
+      .map(row => ({ referrer: row.dimensionValues[0].value, ...counts(row) }))
+  };
+}
+
+module.exports = {
+  mmss, realtime, realtimeTopNews, topNews, categories, categoryNews, regionNews,
+  topAuthors, authorProfile, bannerStats, geoTraffic, articleSearch, articleEngagement, trafficSources, hourlyViews, headlineHours, article, channelOf
+};
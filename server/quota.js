@@ -0,0 +1,58 @@
+// GA4 Data API quota. Every report asks for returnPropertyQuota (see datasource.js) and the snapshot
+// that comes back is kept per property and quota kind — core reports and realtime reports are
+// metered separately — in the shared cache, so any instance can answer /api/quota.
+// GA4 only reports what's left; the limits below (standard properties) turn that into "% used".
+// Analytics 360 properties get 10x — set GA_QUOTA_TOKENS_PER_* accordingly.
+const cache = require('./cache');
+
+const LIMITS = {
+  tokensPerDay: parseInt(process.env.GA_QUOTA_TOKENS_PER_DAY || 200000),
+  tokensPerHour: parseInt(process.env.GA_QUOTA_TOKENS_PER_HOUR || 40000),
+  tokensPerProjectPerHour: parseInt(process.env.GA_QUOTA_TOKENS_PER_PROJECT_PER_HOUR || 14000)
+};
+const WARN_AT = parseFloat(process.env.GA_QUOTA_WARN_AT || 0.8); // share of an hourly budget used
+const KINDS = ['core', 'realtime'];
+
+const idOf = property => String(property || '').replace('properties/', '');
+const keyOf = (propertyId, kind) => `quota_${propertyId}_${kind}`;
+
+function recordQuota(property, kind, propertyQuota) {
+  const snapshot = { at: new Date().toISOString(), ...propertyQuota };
+  cache.set(keyOf(idOf(property), kind), snapshot, 24 * 60 * 60);
+}
+
+// { tokensPerHour: { consumed, remaining } , ... } -> adds limit / used / usedPct where the limit is known
+function describe(snapshot) {
+  const out = { at: snapshot.at };
+  for (const [name, v] of Object.entries(snapshot)) {
+    if (!v || typeof v !== 'object') continue;
+    const entry = { remaining: v.remaining ?? null };
+    if (LIMITS[name] && v.remaining != null) {
+      entry.limit = LIMITS[name];
+      entry.used = Math.max(LIMITS[name] - v.remaining, 0);
+      entry.usedPct = Math.round((entry.used / LIMITS[name]) * 1000) / 10;
+    }
+    out[name] = entry;
+  }
+  return out;
+}
+
+async function getQuota(propertyId) {
+  const result = { propertyId, limits: LIMITS, warning: null };
+  for (const kind of KINDS) {
+    const snapshot = await cache.get(keyOf(propertyId, kind));
+    result[kind] = snapshot ? describe(snapshot) : null;
+  }
+  // Only hourly budgets warrant a warning — they refill soon, so it's worth slowing down now
+  for (const kind of KINDS) {
+    for (const name of ['tokensPerProjectPerHour', 'tokensPerHour']) {
+      const q = result[kind]?.[name];
+      if (q?.usedPct >= WARN_AT * 100 && !result.warning) {
+        result.warning = `GA4 ${kind === 'realtime' ? 'realtime ' : ''}quota: ${q.usedPct}% of the hourly ${name === 'tokensPerHour' ? 'property' : 'project'} budget used`;
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = { recordQuota, getQuota, LIMITS };
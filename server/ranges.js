@@ -0,0 +1,260 @@
+// Date ranges for every ranged route and report: one grammar (?range=&start=&end=), checked up front with a
+// clear 400, then resolved to concrete dates in the property's GA4 time zone. That way 'today' and 'this month'
+// mean what they mean in GA4, not on the server's clock. The resolved dates also key the cache, so cached
+// results roll over at the property's midnight.
+//   today, yesterday               week, lastweek (weeks start on Monday)
+//   Nhours (1-72): the last N clock hours, the current one included
+//   Ndays (1-730): N days ago through today, like GA4's NdaysAgo
+//   month, lastmonth               quarter, lastquarter            year
+//   custom: start (and end, default today) as YYYY-MM-DD, today, yesterday or NdaysAgo
+const cache = require('./cache');
+const { gaAdmin, isAuthError } = require('./datasource');
+
+const PRESETS = ['today', 'yesterday', 'week', 'lastweek', 'month', 'lastmonth', 'quarter', 'lastquarter', 'year'];
+const MAX_HOURS = 72;
+const MAX_DAYS = 730;
+const GA4_START = '2015-08-14'; // GA4 rejects earlier dates
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const LABELS = {
+  realtime: 'Realtime', today: 'Today', yesterday: 'Yesterday', week: 'This Week', lastweek: 'Last Week',
+  month: 'This Month', lastmonth: 'Last Month', quarter: 'This Quarter', lastquarter: 'Last Quarter',
+  year: 'This Year', custom: 'Custom Range'
+};
+
+const countOf = (range, unit) => {
+  const m = new RegExp(`^(\\d+)${unit}$`).exec(range || '');
+  return m ? parseInt(m[1]) : null;
+};
+
+function labelOf(range) {
+  if (LABELS[range]) return LABELS[range];
+  const hours = countOf(range, 'hours'), days = countOf(range, 'days');
+  if (hours) return hours === 1 ? 'Last Hour' : `Last ${hours} Hours`;
+  return days === 1 ? 'Since Yesterday' : `Last ${days} Days`;
+}
+
+// ── Calendar days ─────────────────────────────────────────
+// A day is a Date at UTC midnight, so adding days and months never meets a DST change
+const pad = n => String(n).padStart(2, '0');
+const day = (y, m, d) => new Date(Date.UTC(y, m, d)); // m is 0-based; overflow rolls over like Date does
+const ymd = d => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+const addDays = (d, n) => day(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + n);
+
+const YMD = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAYS_AGO = /^(\d+)daysAgo$/;
+
+// 'YYYY-MM-DD' -> day, or null for impossible dates such as 2026-02-30
+function parseYmd(s) {
+  const m = YMD.exec(s);
+  if (!m) return null;
+  const d = day(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]));
+  return ymd(d) === s ? d : null;
+}
+
+// A custom range's start/end against `today` in the property's zone
+function dateOf(s, today) {
+  if (s === 'today') return today;
+  if (s === 'yesterday') return addDays(today, -1);
+  const ago = DAYS_AGO.exec(s);
+  return ago ? addDays(today, -parseInt(ago[1])) : parseYmd(s);
+}
+
+// Wall-clock fields of instant `t` in `timeZone`; one formatter per zone
+const formatters = {};
+function wallClock(t, timeZone) {
+  formatters[timeZone] = formatters[timeZone] || new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  });
+  const p = Object.fromEntries(formatters[timeZone].formatToParts(t).map(x => [x.type, parseInt(x.value)]));
+  return { y: p.year, m: p.month - 1, d: p.day, h: p.hour, min: p.minute };
+}
+
+// GA4's dateHour value (YYYYMMDDHH) of the clock hour holding instant `t` in `timeZone`
+const dateHourOf = (t, timeZone) => {
+  const c = wallClock(new Date(t), timeZone);
+  return `${c.y}${pad(c.m + 1)}${pad(c.d)}${pad(c.h)}`;
+};
+
+// GA4's dateHour values for the `n` clock hours up to `now`, oldest first
+function lastHours(now, n, timeZone) {
+  const out = [];
+  for (let k = n - 1; k >= 0; k--) out.push(dateHourOf(now.getTime() - k * HOUR, timeZone));
+  return [...new Set(out)]; // the repeated hour when clocks go back
+}
+
+const dayOfHour = h => `${h.slice(0, 4)}-${h.slice(4, 6)}-${h.slice(6, 8)}`;
+// The calendar day (YYYY-MM-DD) holding instant `t` in `timeZone`
+const dayOf = (t, timeZone) => dayOfHour(dateHourOf(t, timeZone));
+
+// ── Validation ────────────────────────────────────────────
+// spec: { range, start, end } as the route received them -> error string or null
+function validateRange({ range, start, end }) {
+  const hours = countOf(range, 'hours'), days = countOf(range, 'days');
+  if (range !== 'custom' && !PRESETS.includes(range) && hours === null && days === null) {
+    return `range must be one of: ${[...PRESETS, 'custom'].join(', ')}, Nhours (1-${MAX_HOURS}) or Ndays (1-${MAX_DAYS})`;
+  }
+  if (hours !== null && !(hours >= 1 && hours <= MAX_HOURS)) return `Hour ranges go from 1hours to ${MAX_HOURS}hours`;
+  if (days !== null && !(days >= 1 && days <= MAX_DAYS)) return `Day ranges go from 1days to ${MAX_DAYS}days`;
+  if (range !== 'custom') return null;
+  if (start === undefined || start === '') return 'start required for a custom range';
+  for (const [name, v] of [['start', start], ['end', end]]) {
+    if (v === undefined || v === '') continue;
+    if (typeof v !== 'string') return `${name} must be a single value`;
+    if (!['today', 'yesterday'].includes(v) && !DAYS_AGO.test(v) && !parseYmd(v)) {
+      return `${name} must be a date (YYYY-MM-DD), today, yesterday or NdaysAgo`;
+    }
+    if (YMD.test(v) && v < GA4_START) return `${name} must not be before ${GA4_START}, when GA4 data begins`;
+  }
+  if (YMD.test(start) && YMD.test(end || '') && end < start) return 'end must not be before start';
+  return null;
+}
+
+// Route middleware: the query's range (or `fallback`) is checked and left on req.range for resolveRange().
+// realtime is only accepted where the route has a realtime view.
+const rangeQuery = (fallback, { realtime = false } = {}) => (req, res, next) => {
+  const spec = { range: req.query.range || fallback, start: req.query.start, end: req.query.end };
+  const err = realtime && spec.range === 'realtime' ? null : validateRange(spec);
+  if (err) return res.status(400).json({ error: err });
+  req.range = spec;
+  next();
+};
+
+// ── Resolution ────────────────────────────────────────────
+// A checked spec -> { range, startDate, endDate, days, hours, timeZone, key }. hours lists the dateHour values of
+// an hour range (null otherwise); key stands for the resolved window in cache keys.
+function resolveRange(spec, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const { range } = spec;
+  const c = wallClock(now, timeZone);
+  const today = day(c.y, c.m, c.d);
+  const monday = addDays(today, -((today.getUTCDay() + 6) % 7));
+  const quarter = c.m - (c.m % 3);
+  const nHours = countOf(range, 'hours'), nDays = countOf(range, 'days');
+  let start = today, end = today, hours = null;
+
+  if (nHours) {
+    hours = lastHours(now, nHours, timeZone);
+    start = parseYmd(dayOfHour(hours[0]));
+  } else if (nDays) start = addDays(today, -nDays);
+  else if (range === 'yesterday') start = end = addDays(today, -1);
+  else if (range === 'week') start = monday;
+  else if (range === 'lastweek') { start = addDays(monday, -7); end = addDays(monday, -1); }
+  else if (range === 'month') start = day(c.y, c.m, 1);
+  else if (range === 'lastmonth') { start = day(c.y, c.m - 1, 1); end = day(c.y, c.m, 0); }
+  else if (range === 'quarter') start = day(c.y, quarter, 1);
+  else if (range === 'lastquarter') { start = day(c.y, quarter - 3, 1); end = day(c.y, quarter, 0); }
+  else if (range === 'year') start = day(c.y, 0, 1);
+  else if (range === 'custom') {
+    start = dateOf(spec.start, today);
+    end = spec.end ? dateOf(spec.end, today) : today;
+    if (end < start) end = start; // a start later than today with end=today: just that day
+  }
+
+  const startDate = ymd(start), endDate = ymd(end);
+  return {
+    range, startDate, endDate, hours, timeZone,
+    days: Math.round((end - start) / DAY) + 1,
+    key: hours ? `${range}_${hours[hours.length - 1]}` : `${startDate}_${endDate}`
+  };
+}
+
+// The instant a wall-clock time in `timeZone` stands for (m is 0-based)
+function instantOf(y, m, d, h, timeZone, min = 0) {
+  const wallUtc = Date.UTC(y, m, d, h, min);
+  const offset = t => {
+    const c = wallClock(new Date(t), timeZone);
+    return Date.UTC(c.y, c.m, c.d, c.h, c.min) - Math.floor(t / 60000) * 60000;
+  };
+  const guess = wallUtc - offset(wallUtc);
+  return new Date(wallUtc - offset(guess)); // the offset at the guess, in case a DST change lies in between
+}
+
+// The instant a resolved range begins: midnight of its startDate in its time zone
+function startOf(r) {
+  const [y, m, d] = r.startDate.split('-').map(Number);
+  return instantOf(y, m - 1, d, 0, r.timeZone);
+}
+
+// ... and the instant it ends: midnight after its endDate
+function endOf(r) {
+  const [y, m, d] = r.endDate.split('-').map(Number);
+  return instantOf(y, m - 1, d + 1, 0, r.timeZone);
+}
+
+// The instant a GA4 dateHour value (YYYYMMDDHH, in the property's zone) begins
+const hourStart = (h, timeZone) => instantOf(+h.slice(0, 4), +h.slice(4, 6) - 1, +h.slice(6, 8), +h.slice(8, 10), timeZone);
+
+// An ISO date-time; one without an offset (2026-10-18T20:00) is wall-clock time in `timeZone`.
+// An Invalid Date when it can't be read.
+function dateTimeOf(s, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(s);
+  if (!m) return new Date(s);
+  return new Date(instantOf(+m[1], m[2] - 1, +m[3], +m[4], timeZone, +m[5]).getTime() + (+m[6] || 0) * 1000);
+}
+
+// The property's reporting time zone from GA4 Admin, cached for a day. When GA4 can't say, DEFAULT_TIME_ZONE
+// answers this request and the next one asks again.
+async function propertyTimeZone(user, propertyId) {
+  try {
+    return await cache.cached(`${propertyId}_timezone`, 24 * 60 * 60, async () =>
+      (await gaAdmin(user).properties.get({ name: `properties/${propertyId}` })).data.timeZone || DEFAULT_TIME_ZONE);
+  } catch (e) {
+    if (isAuthError(e)) throw e;
+    console.warn(`[ranges] time zone of property ${propertyId} unavailable, using ${DEFAULT_TIME_ZONE}: ${e.message}`);
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+// ── Hour ranges ───────────────────────────────────────────
+// GA4 reports whole days, so an hour range asks for the days its hours touch and keeps only those hours with a
+// dateHour filter. A comparison runs as a second report (with overlapping days GA4 would put the same rows in
+// both ranges) and the rows are tagged like GA4's own multi-range response, so splitByRange() works unchanged.
+const hourFilter = hours => ({ filter: { fieldName: 'dateHour', inListFilter: { values: hours } } });
+const andFilter = (a, b) => (a ? { andGroup: { expressions: [a, b] } } : b);
+
+// The hours a comparison looks at: the N hours before, or the same hours a year earlier
+const previousHours = (r, compare, now = new Date()) => (compare === 'yoy'
+  ? r.hours.map(h => `${parseInt(h.slice(0, 4)) - 1}${h.slice(4)}`)
+  : lastHours(new Date(now.getTime() - r.hours.length * HOUR), r.hours.length, r.timeZone));
+
+// An analytics client whose runReport keeps to the range's hours; any other range gets `a` back
+function withinHours(a, r, compare) {
+  if (!r.hours) return a;
+  const run = (params, hours) => a.properties.runReport({
+    ...params,
+    requestBody: {
+      ...params.requestBody,
+      dateRanges: [{ startDate: dayOfHour(hours[0]), endDate: dayOfHour(hours[hours.length - 1]) }],
+      dimensionFilter: andFilter(params.requestBody.dimensionFilter, hourFilter(hours))
+    }
+  });
+  const tag = (rows, name) => (rows || []).map(row => ({ ...row, dimensionValues: [...(row.dimensionValues || []), { value: name }] }));
+
+  return {
+    properties: {
+      ...a.properties,
+      async runReport(params) {
+        if ((params.requestBody.dateRanges || []).length < 2) return run(params, r.hours);
+        const [current, previous] = await Promise.all([run(params, r.hours), run(params, previousHours(r, compare))]);
+        const cur = current.data, prev = previous.data;
+        return {
+          ...current,
+          data: {
+            ...cur,
+            dimensionHeaders: [...(cur.dimensionHeaders || []), { name: 'dateRange' }],
+            rows: [...tag(cur.rows, 'current'), ...tag(prev.rows, 'previous')],
+            totals: [...tag(cur.totals, 'current'), ...tag(prev.totals, 'previous')],
+            rowCount: (cur.rowCount || 0) + (prev.rowCount || 0)
+          }
+        };
+      }
+    }
+  };
+}
+
+module.exports = {
+  PRESETS, DEFAULT_TIME_ZONE, labelOf, validateRange, rangeQuery, resolveRange, startOf, endOf, hourStart,
+  dateHourOf, dayOf, dateTimeOf, wallClock, propertyTimeZone, withinHours
+};
@@ -0,0 +1,84 @@
+// Per-property regional editions for /api/region-news — replaces the old hard-coded MP/CG/RJ map.
+// Each region matches pages by URL prefix (/mp/...), by the GA4 `region` dimension (where the reader is,
+// e.g. 'Madhya Pradesh'), or both: match 'any' takes either, 'all' only edition pages read in-state.
+const { collection } = require('./store');
+
+const regionSets = collection('regions');
+
+const MAX_REGIONS = 40;
+const MATCHES = ['any', 'all'];
+
+const getRegions = (propertyId) => regionSets.get(propertyId) || [];
+
+const isStringArray = v => Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim() !== '');
+
+function validateRegion(r, i) {
+  const at = `regions[${i}]`;
+  if (!r || typeof r !== 'object') return `${at} must be an object`;
+  if (typeof r.slug !== 'string' || !/^[a-z0-9-]{1,40}$/.test(r.slug)) return `${at}.slug must be lowercase letters, digits and dashes`;
+  if (r.name !== undefined && (typeof r.name !== 'string' || !r.name.trim())) return `${at}.name must be a non-empty string`;
+  if (r.prefixes !== undefined && !isStringArray(r.prefixes)) return `${at}.prefixes must be an array of URL prefixes`;
+  if ((r.prefixes || []).some(p => !p.startsWith('/'))) return `${at}.prefixes must start with /, e.g. /mp/`;
+  if (r.gaRegions !== undefined && !isStringArray(r.gaRegions)) return `${at}.gaRegions must be an array of GA4 region names`;
+  if (!(r.prefixes || []).length && !(r.gaRegions || []).length) return `${at} needs prefixes, gaRegions or both`;
+  if (r.match !== undefined && !MATCHES.includes(r.match)) return `${at}.match must be any or all`;
+  return null;
+}
+
+function validateRegions(body) {
+  const { regions } = body;
+  if (!Array.isArray(regions)) return 'regions must be an array';
+  if (regions.length > MAX_REGIONS) return `at most ${MAX_REGIONS} regions`;
+  for (let i = 0; i < regions.length; i++) {
+    const err = validateRegion(regions[i], i);
+    if (err) return err;
+  }
+  const slugs = regions.map(r => r.slug);
+  const dup = slugs.find((s, i) => slugs.indexOf(s) !== i);
+  if (dup) return `duplicate region slug: ${dup}`;
+  return null;
+}
+
+// The whole list is replaced, in the order given (the dashboard's column order)
+function setRegions(propertyId, body) {
+  const regions = body.regions.map(r => ({
+    slug: r.slug,
+    name: (r.name || r.slug.toUpperCase()).trim(),
+    prefixes: r.prefixes || [],
+    gaRegions: r.gaRegions || [],
+    match: r.match || 'any'
+  }));
+  regionSets.set(propertyId, regions);
+  return regions;
+}
+
+const resetRegions = (propertyId) => regionSets.remove(propertyId);
+
+// GA4 filter for one region's pages; queries re-check every row with inRegion()
+function regionFilter(region) {
+  const parts = [];
+  if (region.prefixes.length) {
+    parts.push({ orGroup: { expressions: region.prefixes.map(value => ({
+      filter: { fieldName: 'pagePath', stringFilter: { matchType: 'BEGINS_WITH', value, caseSensitive: false } }
+    })) } });
+  }
+  if (region.gaRegions.length) {
+    parts.push({ filter: { fieldName: 'region', inListFilter: { values: region.gaRegions, caseSensitive: false } } });
+  }
+  if (parts.length === 1) return parts[0];
+  return region.match === 'all' ? { andGroup: { expressions: parts } } : { orGroup: { expressions: parts } };
+}
+
+// gaRegion is null when the report didn't break rows down by region
+function inRegion(region, pagePath, gaRegion) {
+  const path = (pagePath || '').toLowerCase();
+  const checks = [];
+  if (region.prefixes.length) checks.push(region.prefixes.some(p => path.startsWith(p.toLowerCase())));
+  if (region.gaRegions.length && gaRegion !== null) {
+    const r = (gaRegion || '').toLowerCase();
+    checks.push(region.gaRegions.some(g => g.toLowerCase() === r));
+  }
+  return region.match === 'all' ? checks.every(Boolean) : checks.some(Boolean);
+}
+
+module.exports = { getRegions, validateRegions, setRegions, resetRegions, regionFilter, inRegion };
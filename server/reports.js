@@ -0,0 +1,220 @@
+// Scheduled digest reports: per user + property, compose top news / categories / authors / banner
+// stats from the same queries as the /api routes, render HTML + text, and deliver over SMTP or a
+// webhook on a cron schedule. Runs only in the long-lived server (not serverless functions).
+const nodemailer = require('nodemailer');
+const { collection, newId } = require('./store');
+const { getRefreshToken } = require('./tokens');
+const { ga, isOffline } = require('./datasource');
+const { resolveRange, labelOf, propertyTimeZone, wallClock, DEFAULT_TIME_ZONE } = require('./ranges');
+const queries = require('./queries');
+const { getTaxonomy } = require('./taxonomy');
+const outbound = require('./outbound');
+
+const reports = collection('reports');
+
+// ── Cron schedule ─────────────────────────────────────────
+// Standard 5 fields: minute hour day-of-month month day-of-week (0 = Sunday), in the property's time zone.
+// Each field takes *, numbers, lists (1,15), ranges (9-17) and steps (*/15, 9-17/2).
+const CRON_LIMITS = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+
+function cronField(field, [min, max]) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const m = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!m) return null;
+    let [lo, hi] = m[1] === '*' ? [min, max] : m[1].split('-').map(Number);
+    if (hi === undefined) hi = m[2] ? max : lo;
+    const step = m[2] ? parseInt(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) return null;
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const fields = String(expr || '').trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  const sets = fields.map((f, i) => cronField(f, CRON_LIMITS[i]));
+  return sets.includes(null) ? null : sets;
+}
+
+function cronMatches(expr, date, timeZone = DEFAULT_TIME_ZONE) {
+  const sets = parseCron(expr);
+  if (!sets) return false;
+  const [min, hour, dom, mon, dow] = sets;
+  const c = wallClock(date, timeZone);
+  return min.has(c.min) && hour.has(c.h) && dom.has(c.d)
+    && mon.has(c.m + 1) && dow.has(new Date(Date.UTC(c.y, c.m, c.d)).getUTCDay());
+}
+
+// ── Digest ────────────────────────────────────────────────
+// Whole-day ranges only (see ranges.js), resolved in the property's time zone when the digest is composed
+const DIGEST_RANGES = ['today', 'yesterday', '7days', '30days', 'week', 'lastweek', 'month', 'lastmonth'];
+
+async function composeDigest(client, { propertyId, propertyName, range = 'yesterday', timeZone }) {
+  const property = `properties/${propertyId}`;
+  const { startDate, endDate } = resolveRange({ range }, timeZone);
+  const opts = { startDate, endDate, compare: 'previous' };
+  const [topNews, categories, authors, banner] = await Promise.all([
+    queries.topNews(client, property, opts),
+    queries.categories(client, property, { ...opts, taxonomy: getTaxonomy(propertyId) }),
+    queries.topAuthors(client, property, opts).then(r => r.authors),
+    queries.bannerStats(client, property, opts)
+  ]);
+  return {
+    propertyId, propertyName: propertyName || propertyId, range, startDate, endDate,
+    generatedAt: new Date().toISOString(),
+    topNews, categories, authors, banner
+  };
+}
+
+const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const num = n => (n || 0).toLocaleString('en-IN');
+const pct = c => (c && c.deltaPct !== null ? ` (${c.deltaPct > 0 ? '+' : ''}${c.deltaPct}%)` : '');
+
+const subjectFor = d => `${d.propertyName} — News digest, ${labelOf(d.range)}`;
+
+function renderText(d) {
+  const lines = [subjectFor(d), ''];
+  lines.push(`Unique visitors: ${num(d.banner.uniqueVisitors)}${pct(d.banner.change?.uniqueVisitors)}`);
+  lines.push(`Bounce rate: ${d.banner.bounceRate} · Avg engagement: ${d.banner.avgEngagementTime}`, '');
+  lines.push('TOP 10 STORIES');
+  d.topNews.forEach(n => lines.push(`${String(n.rank).padStart(2)}. ${n.title} — ${num(n.pageViews)} views${pct(n.change)}`));
+  lines.push('', 'TOP CATEGORIES');
+  d.categories.forEach(c => lines.push(`- ${c.displayName}: ${num(c.views)} views${pct(c.change)}`));
+  if (d.authors.length) {
+    lines.push('', 'TOP AUTHORS');
+    d.authors.forEach(a => lines.push(`${a.rank}. ${a.name} — ${num(a.views)}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderHtml(d) {
+  const cell = 'padding:6px 10px;border-bottom:1px solid #eee';
+  const list = (title, rows) => rows.length
+    ? `<h3 style="margin:24px 0 8px">${title}</h3><table style="border-collapse:collapse;width:100%">${rows.join('')}</table>`
+    : '';
+  return `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;color:#222;max-width:640px">
+<h2 style="margin-bottom:4px">${esc(d.propertyName)}</h2>
+<div style="color:#777">News digest · ${labelOf(d.range)}</div>
+<p><strong>${num(d.banner.uniqueVisitors)}</strong> unique visitors${esc(pct(d.banner.change?.uniqueVisitors))} ·
+bounce rate ${esc(d.banner.bounceRate)} · avg engagement ${esc(d.banner.avgEngagementTime)}</p>
+${list('Top 10 Stories', d.topNews.map(n => `<tr><td style="${cell}">${n.rank}</td><td style="${cell}">${esc(n.title)}</td><td style="${cell};text-align:right;white-space:nowrap">${num(n.pageViews)}${esc(pct(n.change))}</td></tr>`))}
+${list('Top Categories', d.categories.map(c => `<tr><td style="${cell}">${esc(c.displayName)}</td><td style="${cell};text-align:right">${num(c.views)}${esc(pct(c.change))}</td></tr>`))}
+${list('Top Authors', d.authors.map(a => `<tr><td style="${cell}">${a.rank}</td><td style="${cell}">${esc(a.name)}</td><td style="${cell};text-align:right">${num(a.views)}</td></tr>`))}
+</body></html>`;
+}
+
+// ── Transports ────────────────────────────────────────────
+// smtp:    { type: 'smtp', to: 'desk@example.com' }         — server SMTP_* settings
+// webhook: { type: 'webhook', url: 'https://hooks...' }    — POST { text, subject, html, digest }
+let mailer = null;
+const transports = {
+  smtp: async (target, message) => {
+    if (!mailer) {
+      mailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || 25),
+        secure: process.env.SMTP_SECURE === '1',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    await mailer.sendMail({
+      from: process.env.SMTP_FROM || 'NewsAnalytics <no-reply@localhost>',
+      to: target.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+  },
+  webhook: async (target, message) => {
+    await outbound.postJson(target.url, message).catch((e) => { throw new Error(`Webhook ${e.message}`); });
+  }
+};
+
+function validateReport({ schedule, range, transport }) {
+  if (!parseCron(schedule)) return 'schedule must be a 5-field cron expression, e.g. "0 8 * * *"';
+  if (range && !DIGEST_RANGES.includes(range)) return `range must be one of: ${DIGEST_RANGES.join(', ')}`;
+  if (!transport || !transports[transport.type]) return `transport.type must be one of: ${Object.keys(transports).join(', ')}`;
+  if (transport.type === 'smtp' && !/^[^@\s]+@[^@\s]+$/.test(transport.to || '')) return 'transport.to must be an email address';
+  if (transport.type === 'webhook') {
+    const bad = outbound.validateUrl(transport.url || '');
+    if (bad) return `transport.url ${bad}`;
+  }
+  return null;
+}
+
+// ── Runner ────────────────────────────────────────────────
+// Scheduled runs have no request, so they act as the owner via their stored refresh token
+function ownerOf(report) {
+  const refreshToken = getRefreshToken(report.userId);
+  if (!refreshToken && !isOffline()) {
+    throw new Error('No stored Google authorization for this user — sign in again to enable scheduled reports');
+  }
+  return { id: report.userId, refreshToken };
+}
+
+async function sendReport(report) {
+  try {
+    const owner = ownerOf(report);
+    const timeZone = await propertyTimeZone(owner, report.propertyId);
+    const digest = await composeDigest(ga(owner), { ...report, timeZone });
+    const message = { subject: subjectFor(digest), text: renderText(digest), html: renderHtml(digest), digest };
+    await transports[report.transport.type](report.transport, message);
+    return reports.set(report.id, { ...report, lastRunAt: new Date().toISOString(), lastError: null });
+  } catch (e) {
+    reports.set(report.id, { ...report, lastRunAt: new Date().toISOString(), lastError: e.message });
+    throw e;
+  }
+}
+
+// The zone a report's schedule runs in. propertyTimeZone is cached for a day, so this costs a GA4 call rarely;
+// when the owner can't be acted for, the server's zone stands in and sendReport records why the run failed.
+async function scheduleZone(report) {
+  try {
+    return await propertyTimeZone(ownerOf(report), report.propertyId);
+  } catch (_) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+let timer = null;
+function startScheduler() {
+  if (timer) return;
+  const tick = () => {
+    const now = new Date();
+    const minute = now.toISOString().slice(0, 16);
+    for (const report of reports.all()) {
+      if (report.lastRunAt?.slice(0, 16) === minute) continue;
+      scheduleZone(report)
+        .then(timeZone => cronMatches(report.schedule, now, timeZone) && sendReport(report))
+        .catch(e => console.error(`[reports] ${report.id} failed: ${e.message}`));
+    }
+  };
+  // Align ticks to the start of each minute
+  setTimeout(() => { tick(); timer = setInterval(tick, 60 * 1000); }, 60 * 1000 - (Date.now() % 60000));
+}
+
+function createReport(user, { propertyId, propertyName }, body) {
+  const report = {
+    id: newId(),
+    userId: user.id,
+    email: user.email,
+    propertyId,
+    propertyName,
+    schedule: body.schedule.trim(),
+    range: body.range || 'yesterday',
+    transport: body.transport.type === 'smtp'
+      ? { type: 'smtp', to: body.transport.to }
+      : { type: 'webhook', url: body.transport.url },
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastError: null
+  };
+  return reports.set(report.id, report);
+}
+
+module.exports = {
+  reports, DIGEST_RANGES, parseCron, cronMatches, composeDigest, renderText, renderHtml,
+  validateReport, createReport, sendReport, startScheduler, subjectFor
+};
@@ -0,0 +1,118 @@
+// Share links: a signed, expiring, revocable token that publishes one widget of one property to anyone holding it,
+// as an iframe-embeddable page (/embed/<token>) and a JSON endpoint (/api/share/<token>) for CMS and intranet pages.
+// Like kiosk tokens they read GA4 as the property's service account; unlike them they open no dashboard routes.
+// Only whitelisted fields are published, minus the ones the token hides (e.g. view counts).
+// Token = s1.<id>.<HMAC of id>: the signature stops guessing, the stored record makes it revocable.
+const crypto = require('crypto');
+const { collection, newId } = require('./store');
+const ranges = require('./ranges');
+
+const shares = collection('shareTokens');
+
+const SECRET = process.env.SHARE_TOKEN_SECRET || process.env.KIOSK_TOKEN_SECRET || process.env.SESSION_SECRET || 'secret123';
+const MAX_DAYS = 366;
+const DEFAULT_DAYS = 30;
+const MAX_ORIGINS = 20;
+
+// Shareable widgets: the fields they may publish and how often the embed refreshes.
+// realtime is the active-users counter; list widgets take a range and a limit, up to maxLimit (what the dashboard's
+// cached loader returns; categories return the property's taxonomy limit, passed to validateShare).
+const WIDGETS = {
+  realtime: { fields: ['activeUsers', 'pageviewsPerMin', 'newPerMin', 'sparkline'], ttl: 15 },
+  'top-news': { fields: ['rank', 'title', 'path', 'pageViews', 'activeUsers'], ttl: 60, range: 'realtime', limit: 10, maxLimit: 10 },
+  categories: { fields: ['slug', 'displayName', 'views'], ttl: 300, range: '7days', limit: 6 },
+  'most-read': { fields: ['rank', 'title', 'path', 'avgEngagedTime', 'readCompletion', 'quality', 'pageViews'], ttl: 300, range: 'today', limit: 10, maxLimit: 50 }
+};
+
+const sign = id => crypto.createHmac('sha256', SECRET).update(id).digest('base64url');
+const tokenOf = s => `s1.${s.id}.${sign(s.id)}`;
+
+// Token string -> live record, or null (malformed, bad signature, revoked or expired)
+function verify(token) {
+  const [v, id, sig] = String(token).split('.');
+  if (v !== 's1' || !id || !sig) return null;
+  const expected = Buffer.from(sign(id));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const s = shares.get(id);
+  if (!s || s.revokedAt) return null;
+  if (new Date(s.expiresAt) < new Date()) return null;
+  return s;
+}
+
+// Stands in for req.user; datasource.js reads `serviceAccount` to pick credentials
+const userFor = s => ({
+  id: `share:${s.id}`, name: s.label, email: '', photo: '',
+  serviceAccount: true, propertyId: s.propertyId
+});
+
+const isOrigin = o => {
+  try { return new URL(o).origin === o; } catch (_) { return false; }
+};
+
+function validateShare(body, { categoryLimit }) {
+  const { label, widget, range, limit, hide, origins, expiresInDays } = body;
+  if (label !== undefined && (typeof label !== 'string' || label.length > 80)) return 'label must be a string of at most 80 characters';
+  const w = WIDGETS[widget];
+  if (!w) return `widget must be one of: ${Object.keys(WIDGETS).join(', ')}`;
+  if (range !== undefined) {
+    if (!w.range) return `${widget} has no range`;
+    if (range === 'custom') return 'share links take a named range, not custom';
+    const err = range === 'realtime' ? (widget === 'top-news' ? null : 'only top-news has a realtime range') : ranges.validateRange({ range });
+    if (err) return err;
+  }
+  if (limit !== undefined) {
+    if (!w.limit) return `${widget} has no limit`;
+    const max = w.maxLimit || categoryLimit;
+    if (!(Number.isInteger(limit) && limit > 0 && limit <= max)) return `limit must be an integer from 1 to ${max}`;
+  }
+  if (hide !== undefined) {
+    if (!Array.isArray(hide)) return 'hide must be an array of field names';
+    const bad = hide.find(f => !w.fields.includes(f));
+    if (bad) return `Unknown field for ${widget}: ${bad} (expected ${w.fields.join(', ')})`;
+    if (hide.length >= w.fields.length) return 'hide leaves no fields to publish';
+  }
+  if (origins !== undefined) {
+    if (!Array.isArray(origins) || origins.length > MAX_ORIGINS) return `origins must be an array of at most ${MAX_ORIGINS} origins`;
+    const bad = origins.find(o => typeof o !== 'string' || !isOrigin(o));
+    if (bad !== undefined) return `origins must look like https://cms.example.com (no path): ${bad}`;
+  }
+  if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_DAYS)) {
+    return `expiresInDays must be an integer from 1 to ${MAX_DAYS}`;
+  }
+  return null;
+}
+
+function createShare(user, { propertyId, propertyName }, body) {
+  const w = WIDGETS[body.widget];
+  const now = new Date();
+  const s = {
+    id: newId(),
+    label: (body.label || '').trim() || propertyName || propertyId,
+    propertyId,
+    propertyName: propertyName || propertyId,
+    widget: body.widget,
+    range: w.range ? body.range || w.range : null,
+    limit: w.limit ? body.limit || w.limit : null,
+    hide: body.hide || [],
+    origins: body.origins || [], // empty: any site may embed and fetch it
+    createdBy: user.email || user.id,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + (body.expiresInDays || DEFAULT_DAYS) * 86400000).toISOString(),
+    revokedAt: null
+  };
+  return shares.set(s.id, s);
+}
+
+function revokeShare(s) {
+  return shares.set(s.id, { ...s, revokedAt: new Date().toISOString() });
+}
+
+// Loaded widget data -> only the fields the token publishes
+function publish(s, data) {
+  const fields = WIDGETS[s.widget].fields.filter(f => !s.hide.includes(f));
+  const pick = row => Object.fromEntries(fields.filter(f => row[f] !== undefined).map(f => [f, row[f]]));
+  return Array.isArray(data) ? data.slice(0, s.limit || undefined).map(pick) : pick(data);
+}
+
+module.exports = { WIDGETS, shares, tokenOf, verify, userFor, validateShare, createShare, revokeShare, publish };
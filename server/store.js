@@ -0,0 +1,39 @@
+// Small JSON-file store for server-side state (report schedules, tokens, ...).
+// One file per collection under DATA_DIR; reads are cached in memory, writes are atomic renames.
+// Serverless deployments get an ephemeral filesystem — point DATA_DIR at a mounted volume there.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const collections = {};
+
+function collection(name) {
+  if (collections[name]) return collections[name];
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let items = null;
+
+  const load = () => {
+    if (!items) items = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    return items;
+  };
+  const flush = () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(items, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  collections[name] = {
+    all: () => Object.values(load()),
+    get: (id) => load()[id] || null,
+    find: (fn) => Object.values(load()).filter(fn),
+    set: (id, value) => { load()[id] = value; flush(); return value; },
+    remove: (id) => { const had = id in load(); delete items[id]; if (had) flush(); return had; }
+  };
+  return collections[name];
+}
+
+const newId = () => crypto.randomBytes(8).toString('hex');
+
+module.exports = { collection, newId, DATA_DIR };
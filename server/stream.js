@@ -0,0 +1,93 @@
+// Server-Sent Events hub: one refresh loop per property, fanned out to every subscribed tab.
+// Each task has an interval and a key(client) — clients with the same key share one load
+// (e.g. banner stats per selected range); a null key means that client doesn't want the event.
+// Loads run with the credentials of the newest subscriber; if Google rejects them, that user's
+// tabs are told to re-authenticate and the channel carries on with the next subscriber.
+const { isAuthError } = require('./datasource');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function createHub(tasks) {
+  const channels = {};
+
+  const send = (client, event, data) => {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const ctxOf = (ch) => [...ch.clients].pop()?.ctx;
+
+  async function run(ch, task) {
+    const groups = {};
+    for (const c of ch.clients) {
+      const key = task.key(c);
+      if (key !== null) (groups[key] = groups[key] || []).push(c);
+    }
+    for (const [key, clients] of Object.entries(groups)) {
+      const ctx = ctxOf(ch);
+      if (!ctx) return;
+      try {
+        const data = await task.load(ctx, key);
+        ch.last[`${task.event}:${key}`] = data;
+        clients.forEach(c => ch.clients.has(c) && send(c, task.event, data));
+      } catch (e) {
+        if (isAuthError(e)) {
+          for (const c of ch.clients) {
+            if (c.ctx.user.id !== ctx.user.id) continue;
+            send(c, 'stream-error', { error: 'Google authorization expired — please sign in again', code: 'reauth' });
+            c.res.end();
+          }
+        } else {
+          clients.forEach(c => send(c, 'stream-error', { error: e.message }));
+        }
+      }
+    }
+  }
+
+  function open(id) {
+    const ch = { clients: new Set(), last: {}, timers: [] };
+    ch.timers = tasks.map(t => setInterval(() => run(ch, t), t.interval));
+    ch.timers.push(setInterval(() => ch.clients.forEach(c => c.res.write(': ping\n\n')), HEARTBEAT_MS));
+    channels[id] = ch;
+    return ch;
+  }
+
+  function close(id) {
+    channels[id].timers.forEach(clearInterval);
+    delete channels[id];
+  }
+
+  // ctx is whatever task.load() needs (user + property); params are the client's query options
+  function subscribe(id, ctx, params, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.write('retry: 5000\n\n');
+
+    const ch = channels[id] || open(id);
+    const client = { ctx, params, res };
+    ch.clients.add(client);
+
+    // New tab: replay what the channel already has, load the rest now
+    for (const task of tasks) {
+      const key = task.key(client);
+      if (key === null) continue;
+      const cached = ch.last[`${task.event}:${key}`];
+      if (cached !== undefined) send(client, task.event, cached);
+      else run({ ...ch, clients: new Set([client]) }, task);
+    }
+
+    req.on('close', () => {
+      ch.clients.delete(client);
+      if (!ch.clients.size && channels[id] === ch) close(id);
+    });
+  }
+
+  const stats = () => Object.fromEntries(Object.entries(channels).map(([id, ch]) => [id, ch.clients.size]));
+
+  return { subscribe, stats };
+}
+
+module.exports = { createHub };
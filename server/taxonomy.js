@@ -0,0 +1,144 @@
+// Per-property category taxonomy: how a page maps to a category slug for /api/categories and
+// /api/category-news/:slug (and everything built on them — digests, exports).
+// By default the category is the first path segment; sites can instead strip language/section prefixes,
+// pick a deeper segment, match a regex, or read a GA4 custom dimension such as customEvent:section.
+const { collection } = require('./store');
+
+const taxonomies = collection('taxonomy');
+
+const DEFAULTS = {
+  dimension: null,    // GA4 dimension holding the category (e.g. 'customEvent:section'); null = use pagePath
+  prefixes: [],       // leading path segments skipped first, e.g. ['hi', 'en'] or ['news']
+  depth: 0,           // which remaining segment is the category — 1 picks the subcategory of /sports/cricket/...
+  pattern: null,      // regex with one capture group, overrides prefixes/depth: '^/(?:hi/)?news/([^/]+)/'
+  exclude: ['author', 'reader', 'newsletter', 'page', 'tag', 'search', 'amp'],
+  aliases: {},        // merge slugs: { cricket: 'sports', khel: 'sports' }
+  displayNames: {},   // { sports: 'Khel' } — otherwise the slug, title-cased
+  limit: 6            // categories shown on the dashboard
+};
+
+const getTaxonomy = (propertyId) => ({ ...DEFAULTS, ...(taxonomies.get(propertyId) || {}) });
+
+const MAX_PATTERN = 200;
+
+// A pattern runs on every row of a report, so patterns that can backtrack catastrophically are refused:
+// a group repeated with * + or {n} that holds a quantifier or an alternation ((a+)+, (\w*\/)*, (a|ab)*),
+// and backreferences. Returns what is wrong, or null.
+function unsafePattern(pattern) {
+  const groups = []; // per open group: does it hold a quantifier or an alternation
+  let risky = false; // the token just read is a group that did
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+      risky = false;
+    } else if (c === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) if (pattern[i] === '\\') i++;
+      risky = false;
+    } else if (c === '(') {
+      groups.push(false);
+      risky = false;
+    } else if (c === ')') {
+      risky = groups.pop() || false;
+      if (risky && groups.length) groups[groups.length - 1] = true;
+    } else if (c === '*' || c === '+' || (c === '{' && /^\{\d/.test(pattern.slice(i)))) {
+      if (risky) return 'a repeated group must not hold quantifiers or alternatives, e.g. (a+)+';
+      if (groups.length) groups[groups.length - 1] = true;
+    } else if (c === '|') {
+      if (groups.length) groups[groups.length - 1] = true;
+      risky = false;
+    } else if (c !== '?') risky = false; // a lazy or optional mark still belongs to what it follows
+  }
+  return null;
+}
+
+const isStringArray = v => Array.isArray(v) && v.every(s => typeof s === 'string');
+const isStringMap = v => v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(s => typeof s === 'string');
+
+function validateTaxonomy(body) {
+  const { dimension, prefixes, depth, pattern, exclude, aliases, displayNames, limit } = body;
+  if (dimension && !/^[A-Za-z0-9_:]+$/.test(dimension)) return 'dimension must be a GA4 dimension name, e.g. customEvent:section';
+  if (prefixes !== undefined && !isStringArray(prefixes)) return 'prefixes must be an array of path segments';
+  if (exclude !== undefined && !isStringArray(exclude)) return 'exclude must be an array of slugs';
+  if (depth !== undefined && !(Number.isInteger(depth) && depth >= 0 && depth < 10)) return 'depth must be an integer from 0 to 9';
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= 50)) return 'limit must be an integer from 1 to 50';
+  if (aliases !== undefined && !isStringMap(aliases)) return 'aliases must map slugs to slugs';
+  if (displayNames !== undefined && !isStringMap(displayNames)) return 'displayNames must map slugs to names';
+  if (pattern) {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN) return `pattern must be a regex of at most ${MAX_PATTERN} characters`;
+    const unsafe = unsafePattern(pattern);
+    if (unsafe) return `pattern is too slow to run on every page: ${unsafe}`;
+    let re;
+    try { re = new RegExp(pattern); } catch (e) { return `pattern is not a valid regex: ${e.message}`; }
+    if (new RegExp(`${re.source}|`).exec('').length < 2) return 'pattern needs a capture group for the category';
+  }
+  return null;
+}
+
+// Keys present in body replace the stored value; null resets a key to its default
+function setTaxonomy(propertyId, body) {
+  const tax = { ...(taxonomies.get(propertyId) || {}) };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) delete tax[key];
+    else tax[key] = body[key];
+  }
+  taxonomies.set(propertyId, tax);
+  return getTaxonomy(propertyId);
+}
+
+const resetTaxonomy = (propertyId) => taxonomies.remove(propertyId);
+
+const compiled = new Map(); // once per pattern, not per row
+const regexOf = pattern => compiled.get(pattern) || compiled.set(pattern, new RegExp(pattern)).get(pattern);
+
+const normalize = s => decodeURIComponent(s).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+function rawCategory(tax, value) {
+  if (tax.dimension) return value;
+  if (tax.pattern) return regexOf(tax.pattern).exec(value)?.[1];
+  const segs = value.split('?')[0].split('/').filter(Boolean);
+  while (segs.length && tax.prefixes.includes(segs[0])) segs.shift();
+  return segs[tax.depth];
+}
+
+// pagePath (or the dimension value) -> category slug, null when the page isn't in a category
+function categoryOf(tax, value) {
+  const raw = rawCategory(tax, value || '');
+  if (!raw || raw === '(not set)') return null;
+  let slug;
+  try { slug = normalize(raw); } catch (_) { return null; } // malformed %-encoding
+  if (slug.length < 2 || tax.exclude.includes(slug)) return null;
+  return tax.aliases[slug] || slug;
+}
+
+const displayNameOf = (tax, slug) => tax.displayNames[slug] || slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+// The canonical slug plus every alias that merges into it
+const sourcesOf = (tax, slug) => [slug, ...Object.keys(tax.aliases).filter(k => tax.aliases[k] === slug)];
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A slug as normalize() may have found it: any case, %-encoded or not, words joined by - _ + or spaces
+const rawForm = slug => slug.split('-').map(word => [...word].map((ch) => {
+  if (/[a-z0-9]/.test(ch)) return ch;
+  const forms = new Set([ch, ch.toUpperCase()].flatMap(c => [escapeRe(c), escapeRe(encodeURIComponent(c))]));
+  return forms.size > 1 ? `(?:${[...forms].join('|')})` : [...forms][0];
+}).join('')).join('(?:[\\s_+-]|%20)+');
+
+// Coarse GA4 filter for one category's pages; queries re-check every row with categoryOf().
+// A pattern's capture can sit anywhere in the path, so only the default rule anchors the slug to a segment.
+function categoryFilter(tax, slug) {
+  const alts = sourcesOf(tax, slug).map(rawForm).join('|');
+  if (tax.dimension) {
+    return { filter: { fieldName: tax.dimension, stringFilter: { matchType: 'FULL_REGEXP', value: `\\s*(${alts})\\s*`, caseSensitive: false } } };
+  }
+  const value = tax.pattern ? `(${alts})` : `/(${alts})([/?]|$)`;
+  return { filter: { fieldName: 'pagePath', stringFilter: { matchType: 'PARTIAL_REGEXP', value, caseSensitive: false } } };
+}
+
+module.exports = {
+  DEFAULTS, getTaxonomy, validateTaxonomy, setTaxonomy, resetTaxonomy,
+  categoryOf, displayNameOf, categoryFilter
+};
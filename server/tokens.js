@@ -0,0 +1,45 @@
+// Server-side vault for Google refresh tokens, keyed by Google user id.
+// Tokens are AES-256-GCM encrypted at rest with a key derived from TOKEN_ENCRYPTION_KEY
+// (falls back to SESSION_SECRET) and never placed in the session cookie. They survive sign-out (scheduled work
+// runs on them) and are deleted when their owner loses access, so nothing goes on acting for them.
+const crypto = require('crypto');
+const { collection } = require('./store');
+
+const tokens = collection('tokens');
+const key = crypto.createHash('sha256')
+  .update(process.env.TOKEN_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'secret123')
+  .digest();
+
+function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+function decrypt(blob) {
+  const [iv, tag, data] = blob.split('.').map(s => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function saveRefreshToken(userId, refreshToken, email) {
+  tokens.set(userId, { userId, email: String(email || '').toLowerCase(), refreshToken: encrypt(refreshToken), updatedAt: new Date().toISOString() });
+}
+
+// null when we never got one, or the key changed and it can no longer be decrypted
+function getRefreshToken(userId) {
+  const t = tokens.get(userId);
+  if (!t) return null;
+  try { return decrypt(t.refreshToken); } catch (_) { return null; }
+}
+
+const removeRefreshToken = (userId) => tokens.remove(userId);
+
+// Deletes the tokens of everyone `allowed(email)` turns away; tokens saved without an email are kept
+function removeRefreshTokensUnless(allowed) {
+  for (const t of tokens.all()) if (t.email && !allowed(t.email)) tokens.remove(t.userId);
+}
+
+module.exports = { saveRefreshToken, getRefreshToken, removeRefreshToken, removeRefreshTokensUnless };
@@ -0,0 +1,110 @@
+// Saved dashboard views: a user's layout for one property — which widgets are shown and in what order,
+// each widget's default range, the comparison mode and filters. A view marked shared can be opened by
+// anyone signed in via /dashboard.html?view=<id>, provided their Google account can see the property.
+const { collection, newId } = require('./store');
+const { COMPARE_MODES } = require('./compare');
+const { validateRange } = require('./ranges');
+
+const views = collection('views');
+
+// Dashboard sections, in their default order
+const WIDGETS = ['banner', 'top-news', 'most-read', 'fresh', 'search', 'categories', 'regions', 'authors', 'sources', 'geo', 'history', 'builder'];
+// History and fresh stories always show today, so they have no saved range; a custom report keeps its own
+const NO_RANGE = ['history', 'fresh', 'builder'];
+
+// Any named range (see ranges.js), plus realtime for top news. Custom date windows aren't saved as
+// defaults — a fixed window goes stale the next day.
+function rangeError(widget, range) {
+  if (!WIDGETS.includes(widget)) return `Unknown widget in ranges: ${widget}`;
+  if (NO_RANGE.includes(widget)) return `${widget} has no saved range`;
+  if (widget === 'top-news' && range === 'realtime') return null;
+  if (range === 'custom') return `ranges.${widget} must be a named range, not custom`;
+  const err = validateRange({ range });
+  return err && `ranges.${widget}: ${err}`;
+}
+const FIELDS = ['name', 'widgets', 'ranges', 'compare', 'filters', 'shared', 'isDefault'];
+
+const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// partial: a PUT, where every field is optional
+function validateView(body, partial = false) {
+  const { name, widgets, ranges, compare, filters, shared, isDefault } = body;
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return 'name required';
+    if (name.length > 80) return 'name must be at most 80 characters';
+  }
+  if (widgets !== undefined) {
+    if (!Array.isArray(widgets) || !widgets.length) return 'widgets must be a non-empty array';
+    const bad = widgets.find(w => !WIDGETS.includes(w));
+    if (bad) return `Unknown widget: ${bad} (expected ${WIDGETS.join(', ')})`;
+    if (new Set(widgets).size !== widgets.length) return 'widgets must not repeat';
+  }
+  if (ranges !== undefined) {
+    if (!isPlainObject(ranges)) return 'ranges must map widgets to ranges';
+    for (const [w, r] of Object.entries(ranges)) {
+      const err = rangeError(w, r);
+      if (err) return err;
+    }
+  }
+  if (compare !== undefined && compare !== null && compare !== '' && !COMPARE_MODES.includes(compare)) {
+    return `compare must be one of: ${COMPARE_MODES.join(', ')}`;
+  }
+  if (filters !== undefined) {
+    if (!isPlainObject(filters)) return 'filters must be an object';
+    if (filters.search !== undefined && (typeof filters.search !== 'string' || filters.search.length > 200)) {
+      return 'filters.search must be a string of at most 200 characters';
+    }
+  }
+  if (shared !== undefined && typeof shared !== 'boolean') return 'shared must be true or false';
+  if (isDefault !== undefined && typeof isDefault !== 'boolean') return 'isDefault must be true or false';
+  return null;
+}
+
+// One default per user + property: setting it clears the flag on the others
+function clearDefault(view) {
+  for (const v of views.find(v => v.userId === view.userId && v.propertyId === view.propertyId && v.isDefault && v.id !== view.id)) {
+    views.set(v.id, { ...v, isDefault: false });
+  }
+}
+
+function apply(view, body) {
+  for (const key of FIELDS) {
+    if (body[key] === undefined) continue;
+    view[key] = key === 'name' ? body.name.trim() : key === 'filters' ? { search: body.filters.search || '' } : body[key];
+  }
+  view.compare = view.compare || '';
+}
+
+function createView(user, { propertyId, propertyName }, body) {
+  const view = {
+    id: newId(),
+    userId: user.id,
+    ownerName: user.name,
+    propertyId,
+    propertyName: propertyName || propertyId,
+    name: '',
+    widgets: WIDGETS,
+    ranges: {},
+    compare: '',
+    filters: { search: '' },
+    shared: false,
+    isDefault: false,
+    createdAt: new Date().toISOString()
+  };
+  apply(view, body);
+  view.updatedAt = view.createdAt;
+  if (view.isDefault) clearDefault(view);
+  return views.set(view.id, view);
+}
+
+function updateView(view, body) {
+  const next = { ...view };
+  apply(next, body);
+  next.updatedAt = new Date().toISOString();
+  if (next.isDefault) clearDefault(next);
+  return views.set(next.id, next);
+}
+
+const canOpen = (view, user) => view.userId === user.id || view.shared;
+
+module.exports = { views, WIDGETS, validateView, createView, updateView, canOpen };
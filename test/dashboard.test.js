@@ -0,0 +1,107 @@
+// Dashboard widget routes against the fixture data source
+const fs = require('fs');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, signedIn } = require('./helpers');
+
+let server, c;
+before(async () => {
+  server = await startServer();
+  c = await signedIn(server.base);
+});
+after(() => server.close());
+
+test('API routes need a signed-in user and a selected property', async () => {
+  const anon = client(server.base);
+  assert.deepEqual((await anon.get('/auth/me')).body, { loggedIn: false });
+  assert.equal((await anon.get('/api/realtime')).status, 401);
+
+  const noProperty = client(server.base);
+  await noProperty.get('/auth/google');
+  const r = await noProperty.get('/api/top-news');
+  assert.equal(r.status, 400);
+  assert.equal(r.body.needsProperty, true);
+});
+
+test('/auth/me reports the fixture user and the selected property', async () => {
+  const { body } = await c.get('/auth/me');
+  assert.equal(body.loggedIn, true);
+  assert.equal(body.email, 'fixture@example.com');
+  assert.equal(body.propertyId, '123456789');
+});
+
+test('/api/realtime has the counter and a 30-minute sparkline', async () => {
+  const { status, body } = await c.get('/api/realtime');
+  assert.equal(status, 200);
+  assert.equal(typeof body.activeUsers, 'number');
+  assert.equal(body.sparkline.length, 30);
+});
+
+test('/api/top-news ranks realtime and ranged stories, one row per path', async () => {
+  const realtime = (await c.get('/api/top-news')).body;
+  assert.ok(realtime.length > 0 && realtime.length <= 10);
+  assert.deepEqual(realtime.map(n => n.rank), realtime.map((_, i) => i + 1));
+
+  const week = (await c.get('/api/top-news?range=7days')).body;
+  const paths = week.map(n => n.path);
+  assert.equal(new Set(paths).size, paths.length);
+  for (let i = 1; i < week.length; i++) assert.ok(week[i - 1].pageViews >= week[i].pageViews);
+
+  const compared = (await c.get('/api/top-news?range=7days&compare=previous')).body;
+  assert.ok(compared.every(n => n.change && 'deltaPct' in n.change));
+});
+
+test('ranges and comparisons are validated', async () => {
+  assert.equal((await c.get('/api/top-news?range=nope')).status, 400);
+  assert.equal((await c.get('/api/categories?compare=nope')).status, 400);
+});
+
+test('/api/categories sums views per slug and /api/category-news lists each path once', async () => {
+  const cats = (await c.get('/api/categories')).body;
+  assert.ok(cats.length > 0);
+  assert.ok(cats.every(cat => cat.slug && cat.displayName && typeof cat.views === 'number'));
+
+  const news = (await c.get(`/api/category-news/${cats[0].slug}`)).body;
+  assert.ok(news.length > 0);
+  assert.ok(news.every(n => n.path.includes(`/${cats[0].slug}/`)));
+  assert.equal(new Set(news.map(n => n.path)).size, news.length);
+});
+
+test('/api/geo-traffic places rows at the requested level', async () => {
+  const cities = (await c.get('/api/geo-traffic')).body;
+  assert.ok(cities.length > 0);
+  assert.ok(cities.every(p => p.city && typeof p.lat === 'number' && typeof p.lng === 'number'));
+
+  const countries = (await c.get('/api/geo-traffic?level=country')).body;
+  assert.ok(countries.every(p => p.country && !('city' in p)));
+});
+
+test('/api/banner-stats compares against the previous period', async () => {
+  const { body } = await c.get('/api/banner-stats?compare=previous');
+  assert.equal(typeof body.uniqueVisitors, 'number');
+  assert.ok(body.change.uniqueVisitors);
+});
+
+test('/api/most-read scores articles and rejects unknown sorts', async () => {
+  const rows = (await c.get('/api/most-read')).body;
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every(r => typeof r.engagedSessions === 'number' && typeof r.sessions === 'number'));
+  assert.equal((await c.get('/api/most-read?sort=nope')).status, 400);
+});
+
+test('/api/article-search and /api/article answer for a known story', async () => {
+  const found = (await c.get('/api/article-search?q=bill')).body;
+  assert.ok(found.length > 0);
+  const article = (await c.get(`/api/article?path=${encodeURIComponent(found[0].path)}`)).body;
+  assert.equal(article.path, found[0].path);
+  assert.ok(article.series.length > 0);
+});
+
+test('/api/headlines answers for any path without storing it', async () => {
+  const { body } = await c.get('/api/headlines?path=/not/a/real/story');
+  assert.equal(body.path, '/not/a/real/story');
+  const file = path.join(process.env.DATA_DIR, 'headlines.json');
+  const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  assert.ok(Object.values(stored).every(pages => !('/not/a/real/story' in pages)));
+});
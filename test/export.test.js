@@ -0,0 +1,34 @@
+// Widget exports against the fixture data source
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signedIn } = require('./helpers');
+
+let server, c;
+before(async () => {
+  server = await startServer();
+  c = await signedIn(server.base);
+});
+after(() => server.close());
+
+test('CSV exports are attachments with a header row', async () => {
+  const r = await c.get('/api/export/top-news?range=7days&format=csv');
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /^text\/csv/);
+  assert.match(r.headers.get('content-disposition'), /^attachment; filename="demo-daily_top-news_.*\.csv"$/);
+  const [header, ...rows] = r.text.replace(/^﻿/, '').trim().split('\r\n');
+  assert.equal(header, 'Rank,Title,Path,Page views');
+  assert.ok(rows.length > 0);
+});
+
+test('JSON exports hold the widget rows', async () => {
+  const r = await c.get('/api/export/categories?format=json');
+  assert.equal(r.status, 200);
+  assert.ok(Array.isArray(r.body) && r.body.length > 0);
+  assert.ok(r.body.every(cat => cat.slug && typeof cat.views === 'number'));
+});
+
+test('unknown widgets, formats and missing parameters are rejected', async () => {
+  assert.equal((await c.get('/api/export/nope')).status, 404);
+  assert.equal((await c.get('/api/export/top-news?format=xml')).status, 400);
+  assert.equal((await c.get('/api/export/category-news?format=csv')).status, 400);
+});
@@ -0,0 +1,65 @@
+// Route tests run the real app offline: GA_DATA_SOURCE=fixture answers every GA4 call from ./fixtures, and the
+// JSON store lives in a throwaway DATA_DIR. Each test file starts its own server on a free port.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GA_DATA_SOURCE = 'fixture';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'news-analytics-test-'));
+process.env.SESSION_SECRET = 'test-secret';
+
+const app = require('../server/index');
+
+const PROPERTY = { propertyId: '123456789', displayName: 'Demo Daily' };
+
+async function startServer() {
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    close: () => new Promise(resolve => server.close(resolve))
+      .then(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }))
+  };
+}
+
+// A fetch wrapper that keeps the cookie-session cookies between calls, like a browser tab
+function client(base) {
+  const jar = {};
+  const request = async (url, { method = 'GET', body, headers = {} } = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...headers,
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        Cookie: Object.entries(jar).map(([k, v]) => `${k}=${v}`).join('; ')
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    for (const c of res.headers.getSetCookie()) {
+      const [pair] = c.split(';');
+      const i = pair.indexOf('=');
+      jar[pair.slice(0, i)] = pair.slice(i + 1);
+    }
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) { /* CSV, HTML, ... */ }
+    return { status: res.status, headers: res.headers, text, body: json };
+  };
+  return {
+    get: (url, opts) => request(url, opts),
+    post: (url, body, opts) => request(url, { ...opts, method: 'POST', body }),
+    put: (url, body, opts) => request(url, { ...opts, method: 'PUT', body }),
+    del: (url, opts) => request(url, { ...opts, method: 'DELETE' })
+  };
+}
+
+// Signed in as the fixture user with the demo property selected
+async function signedIn(base) {
+  const c = client(base);
+  await c.get('/auth/google');
+  await c.post('/api/select-property', PROPERTY);
+  return c;
+}
+
+module.exports = { startServer, client, signedIn, PROPERTY };
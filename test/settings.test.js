@@ -0,0 +1,47 @@
+// Validation on the settings people save: taxonomy patterns, alert and report webhooks, custom report filters
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signedIn } = require('./helpers');
+
+let server, c;
+before(async () => {
+  server = await startServer();
+  c = await signedIn(server.base);
+});
+after(() => server.close());
+
+test('taxonomy patterns that could backtrack badly are refused', async () => {
+  const r = await c.put('/api/taxonomy', { pattern: '^/((a+)+)/' });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /too slow/);
+});
+
+test('alert webhooks must be https and public', async () => {
+  for (const webhookUrl of ['http://hooks.example.com/x', 'https://127.0.0.1/x', 'https://169.254.169.254/latest', 'https://localhost/x']) {
+    const r = await c.put('/api/alerts/config', { webhookUrl });
+    assert.equal(r.status, 400, webhookUrl);
+    assert.match(r.body.error, /^webhookUrl /);
+  }
+  const ok = await c.put('/api/alerts/config', { webhookUrl: 'https://hooks.example.com/x' });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.webhookUrl, 'https://hooks.example.com/x');
+});
+
+test('report webhooks must be https and public', async () => {
+  const r = await c.post('/api/reports', {
+    schedule: '0 8 * * *',
+    transport: { type: 'webhook', url: 'https://[::ffff:10.0.0.1]/hook' }
+  });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /^transport\.url /);
+});
+
+test('custom report filters GA4 cannot run are rejected up front', async () => {
+  const r = await c.post('/api/report', {
+    metrics: ['screenPageViews'],
+    dimensions: ['pagePath'],
+    filters: [{ field: 'pagePath', op: 'regex', value: '^(?!/amp)' }]
+  });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /lookahead/);
+});
@@ -0,0 +1,44 @@
+// Public share links and kiosk tokens: what they publish and what they are allowed to reach
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, client, signedIn } = require('./helpers');
+
+let server, c;
+before(async () => {
+  server = await startServer();
+  c = await signedIn(server.base);
+});
+after(() => server.close());
+
+test('share links are capped at what the widget loads', async () => {
+  const r = await c.post('/api/share-tokens', { widget: 'top-news', range: '7days', limit: 30 });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /limit/);
+});
+
+test('a share link serves only the published fields until it is revoked', async () => {
+  const created = await c.post('/api/share-tokens', { widget: 'top-news', range: '7days', limit: 3, hide: ['pageViews'] });
+  assert.equal(created.status, 201);
+
+  const anon = client(server.base);
+  const r = await anon.get(`/api/share/${created.body.token}`);
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get('cache-control'), 'private, no-cache');
+  assert.equal(r.body.widget, 'top-news');
+  assert.ok(r.body.data.length > 0 && r.body.data.length <= 3);
+  assert.ok(r.body.data.every(n => n.title && !('pageViews' in n)));
+
+  assert.equal((await c.del(`/api/share-tokens/${created.body.id}`)).status, 200);
+  assert.equal((await anon.get(`/api/share/${created.body.token}`)).status, 401);
+});
+
+test('kiosk tokens reach only the widgets they were issued for', async () => {
+  const created = await c.post('/api/kiosk-tokens', { widgets: ['banner'] });
+  assert.equal(created.status, 201);
+  const kiosk = client(server.base);
+  const headers = { Authorization: `Bearer ${created.body.token}` };
+
+  assert.equal((await kiosk.get('/api/banner-stats', { headers })).status, 200);
+  assert.equal((await kiosk.get('/api/top-news', { headers })).status, 403);
+  assert.equal((await kiosk.get('/api/article?path=/x', { headers })).status, 403);
+});